@@ -1,8 +1,23 @@
 module.exports = (() => {
   const obsidian = require("obsidian");
-  const { moment, Plugin, PluginSettingTab, Setting, Notice } = obsidian;
+  const {
+    debounce,
+    getAllTags,
+    moment,
+    FuzzySuggestModal,
+    ItemView,
+    Menu,
+    Modal,
+    Notice,
+    Plugin,
+    PluginSettingTab,
+    Setting,
+    TFile,
+    TFolder,
+  } = obsidian;
 
   const child_process = require("node:child_process");
+  const crypto = require("node:crypto");
   const fs = require("node:fs");
   const os = require("node:os");
   const path = require("node:path");
@@ -13,40 +28,215 @@ module.exports = (() => {
 
   const DEFAULT_SETTINGS = Object.freeze({
     enabled: true,
+    backupsPaused: false,
     gitBinPath: "",
     gitDir: "",
+    localOnly: false,
+    inheritShellEnv: false,
+    sshKeyPath: "",
+    sshCommand: "",
+    httpsUsername: "",
+    httpsToken: "",
     gitRemoteURL: "",
     gitBranchName: "main",
+    destinations: [],
     gitUserName: "",
     gitUserEmail: "",
     gitCommitMessage: "",
     gitCommitMessageTimestampFormat: "",
+    gitCommitBody: true,
+    commitGrouping: "none",
     gitIgnore: "",
+    maxFileSize: 50, // MB
+    largeFileRules: "",
+    encryptBackups: false,
+    encryptionPassphrase: "",
+    excludeTags: "",
+    redactFrontmatterKeys: "",
+    divergenceStrategy: "refuse",
+    scheduleMode: "interval",
     syncInterval: 60 * 60, // 1 hour
+    idleDelay: 5 * 60, // 5 minutes
+    scheduleWindows: "",
+    backupOnQuit: true,
     statusBarRefreshInterval: 5 * 60, // 5 minutes
+    alertAfterFailures: 3,
+    alertMaxBackupAge: 24 * 60 * 60, // 1 day
   });
 
   // Local settings are stored in `localStorage` rather than serialized to data.json
-  const LOCAL_SETTINGS = Object.freeze(["enabled", "gitBinPath", "gitDir"]);
+  const LOCAL_SETTINGS = Object.freeze([
+    "enabled",
+    "backupsPaused",
+    "gitBinPath",
+    "gitDir",
+    "localOnly",
+    "inheritShellEnv",
+    "sshKeyPath",
+    "sshCommand",
+    "httpsUsername",
+    "httpsToken",
+    "encryptionPassphrase",
+  ]);
 
   const DEFAULT_COMMIT_MESSAGE = "vault backup: ${timestamp}";
   const DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT = "YYYY-MM-DD HH:mm:ss";
+  const COMMIT_BODY_NOTE_LIMIT = 50;
+
+  const REMOTE_REFSPEC = "+refs/heads/*:refs/remotes/origin/*";
+  // What HEAD is compared against before the branch has any commits
+  const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+  const PUSH_RETRY_BASE_DELAY = 30 * 1000; // 30 seconds
+  const PUSH_RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+  // Past this many changed paths a full rescan is cheaper than listing them all
+  const INCREMENTAL_STAGING_LIMIT = 200;
+  // Past this many commit groups a backup goes into a single commit
+  const COMMIT_GROUP_LIMIT = 50;
+  const STATUS_BAR_UPDATE_DELAY = 2 * 1000; // 2 seconds
+  const EXCLUDED_REFRESH_DELAY = 2 * 1000; // 2 seconds
+
+  const REPOSITORY_LOCK_FILE = "obsidian-git-backup.lock";
+  const REPOSITORY_LOCK_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+  const STALE_REPOSITORY_LOCK_AGE = 60 * 60 * 1000; // 1 hour
+  const STALE_INDEX_LOCK_AGE = 60 * 1000; // 1 minute
+
+  const ASKPASS_SCRIPT = "askpass.sh";
+  const ASKPASS_USERNAME_ENV = "OBSIDIAN_GIT_BACKUP_USERNAME";
+  const ASKPASS_TOKEN_ENV = "OBSIDIAN_GIT_BACKUP_TOKEN";
+  const DEFAULT_HTTPS_USERNAME = "x-access-token";
+  // Each command sets these itself, a shell's values would point git at
+  // the wrong repository
+  const REPOSITORY_ENV = Object.freeze([
+    "GIT_DIR",
+    "GIT_WORK_TREE",
+    "GIT_INDEX_FILE",
+    "GIT_OBJECT_DIRECTORY",
+    "GIT_COMMON_DIR",
+  ]);
+
+  /**
+   * Environment every git command starts from, see `configureGitEnv`.
+   * @type {Record<string, string>}
+   */
+  let gitBaseEnv = {};
+
+  /**
+   * Added to the environment of git commands that may run the encryption
+   * filter, see `configureEncryption`. Kept out of `gitBaseEnv` so the key
+   * isn't handed to fetches, pushes and the helpers they start.
+   * @type {Record<string, string>}
+   */
+  let gitFilterEnv = {};
+
+  const ENCRYPTION_FILTER = "obsidian-git-backup-crypt";
+  const ENCRYPTION_FILTER_SCRIPT = "obsidian-git-backup-crypt.js";
+  const ENCRYPTION_ATTRIBUTES = `* filter=${ENCRYPTION_FILTER} diff=${ENCRYPTION_FILTER} -text\n`;
+  // Handed to the filter process by git, so the key never touches disk
+  const ENCRYPTION_KEY_ENV = "OBSIDIAN_GIT_BACKUP_KEY";
+  // Followed by the repository's salt and the IV in every encrypted file
+  const ENCRYPTION_HEADER = "\0GITBACKUPCRYPT1";
+  const ENCRYPTION_SALT_CONFIG = "obsidian-git-backup.salt";
+  // Encrypted files in HEAD to look at for the salt before making a new one
+  const ENCRYPTION_SALT_PROBE_LIMIT = 10;
+
+  /** @type {Record<string, string>} */
+  const DIVERGENCE_STRATEGIES = {
+    refuse: "Refuse to push",
+    "device-branch": "Push to a per-device branch",
+    merge: "Merge both devices' backups",
+  };
+
+  /** @type {Record<string, string>} */
+  const COMMIT_GROUPINGS = {
+    none: "One commit per backup",
+    folder: "One commit per top-level folder",
+    type: "Separate notes, attachments and config",
+    note: "One commit per changed file",
+  };
+
+  /** @type {Record<string, string>} */
+  const SCHEDULE_MODES = {
+    interval: "Fixed interval",
+    idle: "After editing goes idle",
+    windows: "Fixed interval, during time windows only",
+  };
+
+  const VIEW_TYPE_HISTORY = "git-backup-history";
+  const VIEW_TYPE_CHANGES = "git-backup-changes";
+  const VIEW_TYPE_LOG = "git-backup-log";
+  const VIEW_TYPE_SNAPSHOTS = "git-backup-snapshots";
+
+  const ACTIVITY_LOG_LIMIT = 500;
+  const ACTIVITY_LOG_FILE = "activity-log.json";
+  const LARGEST_FILES_LIMIT = 100;
+  // Same threshold as git's own gc.auto
+  const GC_LOOSE_OBJECTS_LIMIT = 6700;
+
+  /** @type {Record<string, string>} */
+  const HEALTH_STATUS_ICONS = {
+    ok: "check-circle",
+    warning: "alert-triangle",
+    error: "x-circle",
+  };
+
+  /** @type {Record<string, string>} */
+  const ACTIVITY_STATUS_LABELS = {
+    success: "Success",
+    "no-changes": "No changes",
+    "push-failed": "Push failed",
+    error: "Error",
+  };
+
+  /** @type {Record<string, string>} */
+  const CHANGE_STATUS_LABELS = {
+    A: "Added",
+    C: "Copied",
+    D: "Deleted",
+    M: "Modified",
+    R: "Renamed",
+    T: "Type changed",
+  };
 
   class GitBackupPlugin extends Plugin {
     /**
      * @type {{
      *   enabled: boolean,
+     *   backupsPaused: boolean,
      *   gitBinPath: string,
      *   gitDir: string,
+     *   localOnly: boolean,
+     *   inheritShellEnv: boolean,
+     *   sshKeyPath: string,
+     *   sshCommand: string,
+     *   httpsUsername: string,
+     *   httpsToken: string,
      *   gitRemoteURL: string,
      *   gitBranchName: string,
+     *   destinations: BackupDestination[],
      *   gitUserName: string,
      *   gitUserEmail: string,
      *   gitCommitMessage: string,
      *   gitCommitMessageTimestampFormat: string,
+     *   gitCommitBody: boolean,
+     *   commitGrouping: string,
      *   gitIgnore: string,
+     *   maxFileSize: number,
+     *   largeFileRules: string,
+     *   encryptBackups: boolean,
+     *   encryptionPassphrase: string,
+     *   excludeTags: string,
+     *   redactFrontmatterKeys: string,
+     *   divergenceStrategy: string,
+     *   scheduleMode: string,
      *   syncInterval: number,
+     *   idleDelay: number,
+     *   scheduleWindows: string,
+     *   backupOnQuit: boolean,
      *   statusBarRefreshInterval: number,
+     *   alertAfterFailures: number,
+     *   alertMaxBackupAge: number,
      * }}
      */
     settings = DEFAULT_SETTINGS;
@@ -54,11 +244,129 @@ module.exports = (() => {
     /** @type {HTMLElement | null} */
     statusBarItem = null;
 
+    /**
+     * Login shell environment, loaded once when Inherit Shell Environment is
+     * turned on.
+     * @type {Record<string, string> | null}
+     */
+    shellEnv = null;
+
+    /**
+     * Temporary directory holding the askpass helper, removed on unload.
+     * @type {string | null}
+     */
+    askpassDir = null;
+
+    /**
+     * Encryption key derived for a repository, as `salt:key` in hex.
+     * @type {{ gitDir: string; passphrase: string; value: string; } | null}
+     */
+    encryptionKey = null;
+
     /** @type {boolean} */
     statusBarUpdateLock = false;
 
+    /** @type {Promise<unknown>} */
+    gitQueue = Promise.resolve();
+
+    /** @type {number | null} */
+    pushRetryTimer = null;
+
+    /** @type {number} */
+    pushRetryAttempts = 0;
+
+    /** @type {ActivityLogEntry[]} */
+    activityLog = [];
+
+    /** @type {Promise<void>} */
+    activityLogWrite = Promise.resolve();
+
+    /** @type {string | null} */
+    backupWarning = null;
+
+    /**
+     * The sticky Notice `showBackupAlert` last showed, until it's dismissed.
+     * @type {obsidian.Notice | null}
+     */
+    backupAlert = null;
+
+    /**
+     * Last error a scheduled backup alerted about, so the same one doesn't
+     * alert again on every run.
+     * @type {string | null}
+     */
+    alertedError = null;
+
+    /** @type {number} */
+    syncsInProgress = 0;
+
+    /**
+     * Vault paths changed since the last commit, staged on their own instead
+     * of rescanning the whole vault.
+     * @type {Set<string>}
+     */
+    dirtyPaths = new Set();
+
+    /** @type {boolean} */
+    needsFullRescan = true;
+
+    /** @type {number | null} */
+    syncTimer = null;
+
+    /** @type {number | null} */
+    idleTimer = null;
+
+    requestUpdateStatusBar = debounce(
+      () => this.enqueueUpdateStatusBar(),
+      STATUS_BAR_UPDATE_DELAY,
+      true,
+    );
+
+    /**
+     * Vault paths matched by the ignore rules, folders with a trailing slash.
+     * @type {Set<string>}
+     */
+    excludedPaths = new Set();
+
+    /**
+     * Ignore rules `excludedPaths` was listed with, null until it has been.
+     * @type {string | null}
+     */
+    excludedRules = null;
+
+    /**
+     * Vault paths created or renamed since `excludedPaths` was refreshed.
+     * @type {Set<string>}
+     */
+    excludedPathsToCheck = new Set();
+
+    /** @type {HTMLStyleElement | null} */
+    excludedStyleEl = null;
+
+    /**
+     * Private notes by path, see `getPrivateNotes`.
+     * @type {{
+     *   settings: string;
+     *   tags: string[];
+     *   keys: string[];
+     *   notes: Map<string, "excluded" | "redacted">;
+     * } | null}
+     */
+    privateNotesCache = null;
+
+    requestRefreshExcluded = debounce(
+      () => {
+        this.refreshExcluded().catch((error) => {
+          console.error(error);
+        });
+      },
+      EXCLUDED_REFRESH_DELAY,
+      true,
+    );
+
     async onload() {
       await this.loadSettings();
+      await this.loadActivityLog();
 
       this.addSettingTab(new GitBackupSettingTab(this.app, this));
 
@@ -66,6 +374,16 @@ module.exports = (() => {
         return;
       }
 
+      // First run, or git went missing
+      if (
+        !this.settings.gitBinPath ||
+        (!this.settings.gitRemoteURL && !this.settings.localOnly)
+      ) {
+        this.app.workspace.onLayoutReady(() => {
+          new GitBackupSetupModal(this).open();
+        });
+      }
+
       if (!this.settings.gitBinPath) {
         console.warn("Failed to load git-backup plugin, git not found");
         return;
@@ -75,18 +393,44 @@ module.exports = (() => {
       this.enqueueUpdateStatusBar();
 
       this.registerEvent(
-        this.app.vault.on("create", this.enqueueUpdateStatusBar.bind(this)),
+        this.app.vault.on("create", (file) => {
+          this.markDirty(file.path);
+          if (file instanceof TFile && file.extension === "md") {
+            this.updatePrivateNote(file);
+          }
+          this.excludedPathsToCheck.add(file.path);
+          this.requestRefreshExcluded();
+        }),
       );
       this.registerEvent(
-        this.app.vault.on("modify", this.enqueueUpdateStatusBar.bind(this)),
+        this.app.vault.on("modify", (file) => this.markDirty(file.path)),
       );
       this.registerEvent(
-        this.app.vault.on("delete", this.enqueueUpdateStatusBar.bind(this)),
+        this.app.vault.on("delete", (file) => {
+          this.markDirty(file.path);
+          this.movePrivateNote(file.path, null);
+          this.forgetExcluded(file.path);
+        }),
       );
       this.registerEvent(
-        this.app.vault.on("rename", this.enqueueUpdateStatusBar.bind(this)),
+        this.app.vault.on("rename", (file, oldPath) => {
+          this.markDirty(file.path, oldPath);
+          this.movePrivateNote(oldPath, file.path);
+          this.forgetExcluded(oldPath);
+          this.excludedPathsToCheck.add(file.path);
+          this.requestRefreshExcluded();
+        }),
+      );
+      this.registerEvent(
+        this.app.metadataCache.on("changed", (file) =>
+          this.updatePrivateNote(file),
+        ),
       );
 
+      this.excludedStyleEl = document.head.createEl("style");
+      this.register(() => this.excludedStyleEl?.remove());
+      this.app.workspace.onLayoutReady(() => this.requestRefreshExcluded());
+
       if (this.settings.statusBarRefreshInterval) {
         this.registerInterval(
           window.setInterval(() => {
@@ -95,42 +439,226 @@ module.exports = (() => {
         );
       }
 
-      if (this.settings.syncInterval) {
-        this.registerInterval(
-          window.setInterval(() => {
-            this.gitSync();
-          }, this.settings.syncInterval * 1000),
-        );
-      }
+      this.reschedule();
+
+      this.registerEvent(
+        this.app.workspace.on("quit", (tasks) => {
+          if (!this.settings.backupOnQuit || this.settings.backupsPaused) {
+            return;
+          }
+          tasks.add(() =>
+            this.gitSync("quit").catch((error) => {
+              console.error(error);
+            }),
+          );
+        }),
+      );
+
+      this.registerDomEvent(window, "online", () => {
+        if (this.pushRetryTimer !== null) this.retryPushNow();
+      });
 
       this.addCommand({
         id: "git-backup",
         name: "Backup",
         callback: () => {
-          const start = Date.now();
-          this.gitSync()
-            .then((message) => {
-              const duration = Date.now() - start;
-              new Notice(`Git backup [${duration}ms]: ${message}`);
+          this.backupNow();
+        },
+      });
+
+      this.registerView(
+        VIEW_TYPE_HISTORY,
+        (leaf) => new GitBackupHistoryView(leaf, this),
+      );
+
+      this.registerView(
+        VIEW_TYPE_LOG,
+        (leaf) => new GitBackupLogView(leaf, this),
+      );
+
+      this.registerView(
+        VIEW_TYPE_SNAPSHOTS,
+        (leaf) => new GitBackupSnapshotsView(leaf, this),
+      );
+
+      this.addCommand({
+        id: "git-backup-setup",
+        name: "Set up backup repository",
+        callback: () => {
+          new GitBackupSetupModal(this).open();
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-doctor",
+        name: "Check backup health",
+        callback: () => {
+          new GitBackupDoctorModal(this).open();
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-snapshot",
+        name: "Create named snapshot",
+        callback: () => {
+          new GitBackupSnapshotModal(this).open();
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-snapshots",
+        name: "Open snapshots",
+        callback: () => {
+          this.activateView(VIEW_TYPE_SNAPSHOTS, {});
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-log",
+        name: "Open backup log",
+        callback: () => {
+          this.activateView(VIEW_TYPE_LOG, {});
+        },
+      });
+
+      this.registerView(
+        VIEW_TYPE_CHANGES,
+        (leaf) => new GitBackupChangesView(leaf, this),
+      );
+
+      this.addCommand({
+        id: "git-backup-preview",
+        name: "Preview backup",
+        callback: () => {
+          this.previewBackup().catch((error) => {
+            console.error(error);
+            new Notice(`Git backup [error]: ${error}`);
+          });
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-largest-files",
+        name: "List largest files in backup history",
+        callback: () => {
+          this.showLargestFiles().catch((error) => {
+            console.error(error);
+            new Notice(`Git backup [error]: ${error}`);
+          });
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-changes",
+        name: "Show pending changes",
+        callback: () => {
+          this.showChanges();
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-recover-deleted",
+        name: "Recover deleted notes",
+        callback: () => {
+          this.recoverDeletedNotes().catch((error) => {
+            console.error(error);
+            new Notice(`Git backup [error]: ${error}`);
+          });
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-restore-vault",
+        name: "Restore vault from backup",
+        callback: () => {
+          this.restoreVault().catch((error) => {
+            console.error(error);
+            new Notice(`Git backup [error]: ${error}`);
+          });
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-export-bundle",
+        name: "Export backup bundle",
+        callback: () => {
+          this.enqueueGit(() =>
+            gitListTags(this.settings.gitBinPath, this.settings.gitDir),
+          )
+            .then((tags) => {
+              new GitBackupExportBundleModal(this, tags).open();
             })
             .catch((error) => {
               console.error(error);
               new Notice(`Git backup [error]: ${error}`);
-            })
-            .finally(() => {
-              this.enqueueUpdateStatusBar();
             });
         },
       });
+
+      this.addCommand({
+        id: "git-backup-import-bundle",
+        name: "Restore vault from bundle",
+        callback: () => {
+          new GitBackupImportBundleModal(this).open();
+        },
+      });
+
+      this.addCommand({
+        id: "git-backup-history",
+        name: "Show backup history for this file",
+        checkCallback: (checking) => {
+          const file = this.app.workspace.getActiveFile();
+          if (!file) return false;
+          if (!checking) this.showHistory(file);
+          return true;
+        },
+      });
+
+      this.registerEvent(
+        this.app.workspace.on("file-menu", (menu, file) => {
+          if (!(file instanceof TFile)) return;
+          menu.addItem((item) => {
+            item
+              .setTitle("Show backup history")
+              .setIcon("history")
+              .onClick(() => this.showHistory(file));
+          });
+        }),
+      );
+
+      this.registerEvent(
+        this.app.workspace.on("file-menu", (menu, file) => {
+          if (file.path === "/") return;
+          const excluded = this.isExcluded(file.path);
+          menu.addItem((item) => {
+            item
+              .setTitle(excluded ? "Include in backup" : "Exclude from backup")
+              .setIcon(excluded ? "eye" : "eye-off")
+              .onClick(() => {
+                this.setExcluded(file, !excluded).catch((error) => {
+                  console.error(error);
+                  new Notice(`Git backup [error]: ${error}`);
+                });
+              });
+          });
+        }),
+      );
     }
 
-    async unload() {
+    async onunload() {
       if (this.statusBarItem) {
         this.statusBarItem.remove();
         this.statusBarItem = null;
       }
       this.statusBarUpdateLock = false;
-      // TODO: Unload settings
+      if (this.pushRetryTimer !== null) {
+        window.clearTimeout(this.pushRetryTimer);
+        this.pushRetryTimer = null;
+      }
+      this.clearSchedule();
+      gitBaseEnv = {};
+      gitFilterEnv = {};
+      await this.removeAskpassHelper();
     }
 
     /**
@@ -194,7 +722,7 @@ module.exports = (() => {
         saveSettings = false;
       }
 
-      console.log(this.settings);
+      await this.configureGitEnv();
     }
 
     /**
@@ -220,468 +748,7455 @@ module.exports = (() => {
         JSON.stringify(localSettings),
       );
       await this.saveData(dataSettings);
+      await this.configureGitEnv();
     }
 
     /**
-     * Initialize the status bar item.
+     * Set the environment every git command runs with from the
+     * authentication settings.
+     * @returns {Promise<void>}
      */
-    initStatusBarItem() {
-      const item = this.addStatusBarItem();
-      obsidian.setIcon(item, "git-branch");
-      let span;
-      span = item.createSpan();
-      span.innerHTML = "&nbsp;";
-      span.className = "spacer";
-      span = item.createSpan();
-      span.className = "git-diffstat";
-      this.statusBarItem = item;
-    }
+    async configureGitEnv() {
+      const {
+        inheritShellEnv,
+        sshKeyPath,
+        sshCommand,
+        httpsUsername,
+        httpsToken,
+      } = this.settings;
 
-    enqueueUpdateStatusBar() {
-      if (this.statusBarUpdateLock) return;
-      this.statusBarUpdateLock = true;
-      this.updateStatusBar()
-        .catch((error) => {
-          console.error(error);
-        })
-        .finally(() => {
-          this.statusBarUpdateLock = false;
+      /** @type {Record<string, string>} */
+      const env = {};
+      if (inheritShellEnv) {
+        this.shellEnv ??= await getShellEnv().catch((error) => {
+          console.warn("Failed to get shell environment:", error);
+          return {};
         });
-    }
+        for (const [key, value] of Object.entries(this.shellEnv)) {
+          if (!REPOSITORY_ENV.includes(key)) env[key] = value;
+        }
+      }
 
-    async updateStatusBar() {
-      const { enabled, gitBinPath, gitDir } = this.settings;
+      if (sshCommand) {
+        env.GIT_SSH_COMMAND = sshCommand;
+      } else if (sshKeyPath) {
+        env.GIT_SSH_COMMAND = `ssh -i ${shellQuote(expandHome(sshKeyPath))} -o IdentitiesOnly=yes`;
+      }
 
-      if (!this.statusBarItem || !enabled || !gitBinPath || !gitDir) return;
+      if (httpsToken) {
+        if (!this.askpassDir) {
+          this.askpassDir = await fs.promises.mkdtemp(
+            path.join(os.tmpdir(), "obsidian-git-backup-"),
+          );
+          await writeAskpassHelper(path.join(this.askpassDir, ASKPASS_SCRIPT));
+        }
+        env.GIT_ASKPASS = path.join(this.askpassDir, ASKPASS_SCRIPT);
+        env[ASKPASS_USERNAME_ENV] = httpsUsername || DEFAULT_HTTPS_USERNAME;
+        env[ASKPASS_TOKEN_ENV] = httpsToken;
+      } else {
+        await this.removeAskpassHelper();
+      }
 
-      const span = this.statusBarItem.querySelector("span.git-diffstat");
-      assert(span, "status bar missing span");
+      gitBaseEnv = env;
+    }
 
-      const stats = await gitStat(gitBinPath, gitDir, this.gitWorkTree);
+    /**
+     * Delete the askpass helper written for the HTTPS token, if any.
+     * @returns {Promise<void>}
+     */
+    async removeAskpassHelper() {
+      if (!this.askpassDir) return;
+      const askpassDir = this.askpassDir;
+      this.askpassDir = null;
+      await fs.promises.rm(askpassDir, { recursive: true, force: true });
+    }
 
-      if (stats.filesChanged > 0) {
-        span.textContent = `${stats.filesChanged} files changed`;
-      } else {
-        span.textContent = "No changes";
+    /**
+     * Vault path of the activity log, a file in the plugin's folder. It's
+     * kept out of data.json and out of backups, so it's per-device and
+     * doesn't give every backup a change to commit.
+     * @returns {string}
+     */
+    getActivityLogPath() {
+      assert(this.manifest.dir, "plugin folder is unknown");
+      return `${this.manifest.dir}/${ACTIVITY_LOG_FILE}`;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async loadActivityLog() {
+      const { adapter } = this.app.vault;
+      const logPath = this.getActivityLogPath();
+      if (!(await adapter.exists(logPath))) return;
+      try {
+        this.activityLog = JSON.parse(await adapter.read(logPath));
+      } catch (error) {
+        console.assert(!error, `Failed to parse ${logPath}`, error);
       }
     }
 
     /**
-     * Get path to bare git repository in cache.
-     * @returns {string}
+     * Write the activity log. Writes are queued so an older log never
+     * replaces a newer one.
+     * @returns {Promise<void>}
      */
-    get defaultGitDir() {
-      const vaultName = this.app.vault.getName();
-      assert(vaultName !== "", "vaultName is not set");
-      return path.join(getCacheDir(), `${vaultName}.git`);
+    saveActivityLog() {
+      const json = JSON.stringify(this.activityLog);
+      this.activityLogWrite = this.activityLogWrite
+        .catch(() => {})
+        .then(() =>
+          this.app.vault.adapter.write(this.getActivityLogPath(), json),
+        );
+      return this.activityLogWrite;
     }
 
     /**
-     * Get path to Vault directory to use as git work tree.
+     * Ignore rules backups are staged with: Exclude Patterns plus the
+     * activity log.
      * @returns {string}
      */
-    get gitWorkTree() {
-      const dataAdapter = this.app.vault.adapter;
-      assert(
-        dataAdapter instanceof obsidian.FileSystemAdapter,
-        "dataAdapter is FileSystemAdapter",
-      );
-      return dataAdapter.getBasePath();
+    getGitIgnore() {
+      const activityLog = escapeGitIgnorePattern(this.getActivityLogPath());
+      return `${this.settings.gitIgnore.trimEnd()}\n/${activityLog}\n`;
     }
 
     /**
-     * Sync local git repository with remote.
+     * Append a finished run to the activity log, dropping the oldest entries
+     * past the limit.
      *
-     * @returns {Promise<string>}
+     * @param {ActivityLogEntry} entry
      */
-    async gitSync() {
-      const {
-        enabled,
-        gitBinPath,
-        gitDir,
-        gitRemoteURL,
-        gitBranchName,
-        gitUserName,
-        gitUserEmail,
-        gitCommitMessage,
-        gitCommitMessageTimestampFormat,
-        gitIgnore,
-      } = this.settings;
+    recordActivity(entry) {
+      entry.duration = Date.now() - entry.startedAt;
+      this.activityLog.push(entry);
+      this.activityLog.splice(0, this.activityLog.length - ACTIVITY_LOG_LIMIT);
+      this.saveActivityLog().catch((error) => {
+        console.error(error);
+      });
 
-      assert(enabled, "plugin is disabled");
-      assert(gitBinPath, "gitBinPath isn't set");
-      assert(gitDir, "gitDir isn't set");
-      assert(gitRemoteURL, "gitRemoteURL isn't set");
+      for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_LOG)) {
+        if (leaf.view instanceof GitBackupLogView) {
+          leaf.view.render();
+        }
+      }
 
-      await gitFetch(gitBinPath, gitDir, gitRemoteURL);
+      this.updateBackupWarning();
+    }
 
-      const timestamp = moment().format(
-        gitCommitMessageTimestampFormat ||
-          DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT,
-      );
-      const commitMessage = (
-        gitCommitMessage || DEFAULT_COMMIT_MESSAGE
-      ).replace("${timestamp}", timestamp);
+    /**
+     * Check the activity log against the alert thresholds.
+     *
+     * @returns {string | null} reason backups look broken, if they do
+     */
+    getBackupWarning() {
+      const { alertAfterFailures, alertMaxBackupAge } = this.settings;
+      const { activityLog } = this;
+      if (activityLog.length === 0) return null;
 
-      const commit = await gitCommitAll(
-        gitBinPath,
-        gitDir,
-        this.gitWorkTree,
-        commitMessage,
-        gitUserName,
-        gitUserEmail,
-        gitIgnore,
-      );
-      if (commit) {
-        await gitPush(gitBinPath, gitDir, "origin", gitBranchName);
-        return `Pushed ${commit.filesChanged} files`;
-      } else {
-        return "No changes";
+      let failures = 0;
+      for (let i = activityLog.length - 1; i >= 0; i--) {
+        const { status } = activityLog[i];
+        if (status !== "error" && status !== "push-failed") break;
+        failures++;
       }
+      if (alertAfterFailures && failures >= alertAfterFailures) {
+        return `${failures} backups in a row have failed`;
+      }
+
+      const lastSuccess = this.getLastSuccessfulBackup();
+      const since = lastSuccess ?? activityLog[0];
+      if (
+        alertMaxBackupAge &&
+        Date.now() - since.startedAt > alertMaxBackupAge * 1000
+      ) {
+        return lastSuccess
+          ? `Last successful backup was ${moment(lastSuccess.startedAt).fromNow()}`
+          : `No successful backup since ${moment(since.startedAt).fromNow()}`;
+      }
+
+      return null;
     }
-  }
 
-  class GitBackupSettingTab extends PluginSettingTab {
-    /** @type {GitBackupPlugin} */
-    plugin;
+    /**
+     * @returns {ActivityLogEntry | undefined}
+     */
+    getLastSuccessfulBackup() {
+      return this.activityLog.findLast(
+        (entry) => entry.status === "success" || entry.status === "no-changes",
+      );
+    }
+
+    /**
+     * Refresh the warning state of the status bar item, alerting once when
+     * backups start failing.
+     */
+    updateBackupWarning() {
+      const warning = this.getBackupWarning();
+      const wasWarning = this.backupWarning;
+      this.backupWarning = warning;
+      this.renderStatusBarIcon();
+
+      // An error alert already says backups are failing
+      if (warning && !wasWarning && !this.backupAlert?.noticeEl.isConnected) {
+        const lastError = this.activityLog.findLast((entry) => entry.error);
+        this.showBackupAlert(
+          lastError ? `${warning}: ${lastError.error}` : warning,
+        );
+      }
+    }
 
     /**
+     * Show a sticky Notice about failing backups with a retry button.
      *
-     * @param {obsidian.App} app
-     * @param {GitBackupPlugin} plugin
+     * @param {string} message
      */
-    constructor(app, plugin) {
-      super(app, plugin);
-      this.plugin = plugin;
+    showBackupAlert(message) {
+      this.backupAlert?.hide();
+      const notice = new Notice(
+        createFragment((el) => {
+          el.createDiv({ text: `Git backup [error]: ${message}` });
+          el.createEl("button", { text: "Retry now" }, (button) => {
+            button.addEventListener("click", () => {
+              notice.hide();
+              this.backupNow();
+            });
+          });
+        }),
+        0,
+      );
+      this.backupAlert = notice;
     }
 
-    display() {
-      const { containerEl } = this;
+    /**
+     * Run a backup right away and report the result in a Notice.
+     */
+    backupNow() {
+      const start = Date.now();
+      this.gitSync("manual")
+        .then((message) => {
+          const duration = Date.now() - start;
+          new Notice(`Git backup [${duration}ms]: ${message}`);
+        })
+        .catch((error) => {
+          console.error(error);
+          new Notice(`Git backup [error]: ${error}`);
+          if (error instanceof GitRemoteChangedError) {
+            new GitBackupSetupModal(this).open();
+          }
+        })
+        .finally(() => {
+          this.enqueueUpdateStatusBar();
+        });
+    }
 
-      containerEl.empty();
+    /**
+     * Back up current changes and tag the result as a named snapshot.
+     *
+     * @param {string} label
+     */
+    createSnapshot(label) {
+      this.gitSync("snapshot", label)
+        .then((message) => {
+          new Notice(`Git backup: Created snapshot "${label}". ${message}`);
+        })
+        .catch((error) => {
+          console.error(error);
+          new Notice(`Git backup [error]: ${error}`);
+        })
+        .finally(() => {
+          this.enqueueUpdateStatusBar();
+          for (const leaf of this.app.workspace.getLeavesOfType(
+            VIEW_TYPE_SNAPSHOTS,
+          )) {
+            if (leaf.view instanceof GitBackupSnapshotsView) {
+              leaf.view.render();
+            }
+          }
+        });
+    }
 
-      // Add <style scoped> to containerEl
-      // and set width of text inputs to 100%
-      const style = document.createElement("style");
+    /**
+     * Pause or resume scheduled backups on this device.
+     * @returns {Promise<void>}
+     */
+    async toggleBackupsPaused() {
+      this.settings.backupsPaused = !this.settings.backupsPaused;
+      await this.saveSettings();
+      this.renderStatusBarIcon();
+    }
+
+    /**
+     * Initialize the status bar item.
+     */
+    initStatusBarItem() {
+      const item = this.addStatusBarItem();
+      const style = item.createEl("style");
       style.textContent = `
-        .setting-item-control > input[type="text"] {
-          width: 100%;
-          text-align: right;
+        @keyframes git-backup-spin {
+          to {
+            transform: rotate(360deg);
+          }
+        }
+        .git-icon.is-syncing svg {
+          animation: git-backup-spin 1s linear infinite;
         }
       `;
-      style.setAttribute("scoped", "");
-      containerEl.appendChild(style);
-
-      new Setting(containerEl).setName("Synced Settings").setHeading();
+      let span;
+      span = item.createSpan();
+      span.className = "git-icon";
+      obsidian.setIcon(span, "git-branch");
+      span = item.createSpan();
+      span.innerHTML = "&nbsp;";
+      span.className = "spacer";
+      span = item.createSpan();
+      span.className = "git-diffstat";
+      item.addClass("mod-clickable");
+      this.registerDomEvent(item, "click", (event) => {
+        this.showStatusBarMenu(event);
+      });
+      this.statusBarItem = item;
+      this.updateBackupWarning();
+    }
 
-      new Setting(containerEl).setName("Git Remote URL").addText((text) =>
-        text
-          .setValue(this.plugin.settings.gitRemoteURL)
-          .onChange(async (value) => {
-            this.plugin.settings.gitRemoteURL = value;
-            await this.plugin.saveSettings();
-          }),
+    /**
+     * @param {MouseEvent} event
+     */
+    showStatusBarMenu(event) {
+      const menu = new Menu();
+      menu.addItem((item) =>
+        item
+          .setTitle("Backup now")
+          .setIcon("upload-cloud")
+          .onClick(() => this.backupNow()),
       );
-
-      new Setting(containerEl).setName("Git Branch Name").addText((text) =>
-        text
-          .setValue(this.plugin.settings.gitBranchName)
-          .onChange(async (value) => {
-            this.plugin.settings.gitBranchName = value;
-            await this.plugin.saveSettings();
-          }),
+      menu.addItem((item) =>
+        item
+          .setTitle("Show pending changes")
+          .setIcon("git-compare")
+          .onClick(() => this.showChanges()),
       );
-
-      new Setting(containerEl).setName("Git User Name").addText((text) =>
-        text
-          .setValue(this.plugin.settings.gitUserName)
-          .onChange(async (value) => {
-            this.plugin.settings.gitUserName = value;
-            await this.plugin.saveSettings();
-          }),
+      menu.addItem((item) =>
+        item
+          .setTitle("Open log")
+          .setIcon("scroll-text")
+          .onClick(() => this.activateView(VIEW_TYPE_LOG, {})),
+      );
+      menu.addSeparator();
+      menu.addItem((item) =>
+        item
+          .setTitle(
+            this.settings.backupsPaused ? "Resume backups" : "Pause backups",
+          )
+          .setIcon(this.settings.backupsPaused ? "play" : "pause")
+          .onClick(() => this.toggleBackupsPaused()),
       );
+      menu.showAtMouseEvent(event);
+    }
 
-      new Setting(containerEl).setName("Git User Email").addText((text) => {
-        text
-          .setValue(this.plugin.settings.gitUserEmail)
-          .onChange(async (value) => {
-            this.plugin.settings.gitUserEmail = value;
-            await this.plugin.saveSettings();
-          });
-      });
+    /**
+     * Show sync progress, errors and the paused state in the status bar icon.
+     */
+    renderStatusBarIcon() {
+      if (!this.statusBarItem) return;
 
-      new Setting(containerEl).setName("Git Commit Message").addText((text) => {
-        text
-          .setPlaceholder(DEFAULT_COMMIT_MESSAGE)
-          .setValue(this.plugin.settings.gitCommitMessage)
-          .onChange(async (value) => {
-            this.plugin.settings.gitCommitMessage = value;
-            await this.plugin.saveSettings();
-          });
-      });
+      const iconEl = this.statusBarItem.querySelector("span.git-icon");
+      assert(iconEl instanceof HTMLElement, "status bar missing icon");
 
-      new Setting(containerEl)
-        .setName("Git Commit Timestamp Format")
-        .addMomentFormat((text) => {
-          text
-            .setDefaultFormat(DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT)
-            .setValue(this.plugin.settings.gitCommitMessageTimestampFormat)
-            .onChange(async (value) => {
-              this.plugin.settings.gitCommitMessageTimestampFormat = value;
-              await this.plugin.saveSettings();
-            });
+      const lastRun = this.activityLog.at(-1);
+      const lastRunFailed =
+        lastRun?.status === "error" || lastRun?.status === "push-failed";
+
+      let icon = "git-branch";
+      let color = "";
+      let label = "";
+      if (this.syncsInProgress > 0) {
+        icon = "loader";
+        label = "Backing up...";
+      } else if (this.backupWarning) {
+        icon = "alert-triangle";
+        color = "var(--text-error)";
+        label = this.backupWarning;
+      } else if (lastRunFailed) {
+        icon = "alert-circle";
+        color = "var(--text-warning)";
+        label = `Last backup failed: ${lastRun.error}`;
+      } else if (this.settings.backupsPaused) {
+        icon = "pause-circle";
+        label = "Backups paused";
+      }
+
+      obsidian.setIcon(iconEl, icon);
+      iconEl.toggleClass("is-syncing", this.syncsInProgress > 0);
+      iconEl.setCssStyles({ color });
+      if (label) {
+        this.statusBarItem.setAttribute("aria-label", label);
+      } else {
+        this.statusBarItem.removeAttribute("aria-label");
+      }
+    }
+
+    /**
+     * Remember vault paths to stage in the next backup.
+     *
+     * @param {...string} paths
+     */
+    markDirty(...paths) {
+      for (const filePath of paths) {
+        this.dirtyPaths.add(filePath);
+      }
+      this.requestUpdateStatusBar();
+      if (this.settings.scheduleMode === "idle") {
+        this.scheduleIdleBackup(this.settings.idleDelay * 1000);
+      }
+    }
+
+    /**
+     * Set up automatic backups from the current settings, replacing any
+     * existing schedule. Called again whenever schedule settings change.
+     */
+    reschedule() {
+      this.clearSchedule();
+      const { enabled, scheduleMode, syncInterval } = this.settings;
+      if (!enabled) return;
+
+      if (
+        (scheduleMode === "interval" || scheduleMode === "windows") &&
+        syncInterval
+      ) {
+        this.syncTimer = window.setInterval(() => {
+          this.runScheduledBackup("interval");
+        }, syncInterval * 1000);
+      } else if (scheduleMode === "idle" && this.dirtyPaths.size > 0) {
+        this.scheduleIdleBackup(this.settings.idleDelay * 1000);
+      }
+    }
+
+    clearSchedule() {
+      if (this.syncTimer !== null) {
+        window.clearInterval(this.syncTimer);
+        this.syncTimer = null;
+      }
+      if (this.idleTimer !== null) {
+        window.clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+      }
+    }
+
+    /**
+     * (Re)start the countdown to an idle backup.
+     *
+     * @param {number} delay in milliseconds
+     */
+    scheduleIdleBackup(delay) {
+      if (this.idleTimer !== null) {
+        window.clearTimeout(this.idleTimer);
+      }
+      this.idleTimer = window.setTimeout(() => {
+        this.idleTimer = null;
+        this.runScheduledBackup("idle");
+      }, delay);
+    }
+
+    /**
+     * Run an automatic backup unless paused, or outside the allowed windows
+     * when the schedule is limited to them.
+     *
+     * @param {string} trigger
+     */
+    runScheduledBackup(trigger) {
+      const { backupsPaused, scheduleMode, scheduleWindows } = this.settings;
+      if (backupsPaused) return;
+      if (
+        scheduleMode === "windows" &&
+        !isWithinTimeWindows(parseTimeWindows(scheduleWindows), new Date())
+      ) {
+        return;
+      }
+
+      this.gitSync(trigger)
+        .then(() => {
+          this.alertedError = null;
+        })
+        .catch((error) => {
+          console.error(error);
+          // Diverged branches and a changed remote won't recover on their
+          // own, alert right away, but only once for each
+          if (
+            (error instanceof GitDivergedError ||
+              error instanceof GitMergeConflictError ||
+              error instanceof GitRemoteChangedError) &&
+            error.message !== this.alertedError
+          ) {
+            this.alertedError = error.message;
+            this.showBackupAlert(error.message);
+          }
+        })
+        .finally(() => {
+          this.enqueueUpdateStatusBar();
         });
+    }
 
-      new Setting(containerEl).setName("Git Ignore").addTextArea((text) => {
-        text
-          .setValue(this.plugin.settings.gitIgnore)
-          .onChange(async (value) => {
-            this.plugin.settings.gitIgnore = value;
-            await this.plugin.saveSettings();
-          });
-      });
+    enqueueUpdateStatusBar() {
+      if (this.statusBarUpdateLock) return;
+      this.statusBarUpdateLock = true;
+      this.updateStatusBar()
+        .catch((error) => {
+          console.error(error);
+        })
+        .finally(() => {
+          this.statusBarUpdateLock = false;
+        });
+    }
 
-      new Setting(containerEl).setName("Sync Interval").addText((text) =>
-        text
-          .setValue(`${this.plugin.settings.syncInterval}`)
-          .onChange(async (value) => {
-            const interval = parseInt(value);
-            if (interval) {
-              this.plugin.settings.syncInterval = interval;
-              await this.plugin.saveSettings();
-            }
-          }),
+    async updateStatusBar() {
+      const { enabled, gitBinPath, gitDir, gitBranchName, localOnly } =
+        this.settings;
+
+      if (!this.statusBarItem || !enabled || !gitBinPath || !gitDir) return;
+
+      // Backup age grows while idle, so recheck it on every refresh
+      this.updateBackupWarning();
+
+      const span = this.statusBarItem.querySelector("span.git-diffstat");
+      assert(span, "status bar missing span");
+
+      const [stats, unpushed] = await this.enqueueGit(() =>
+        Promise.all([
+          gitStat(gitBinPath, gitDir, this.gitWorkTree, this.getPrivateNotes()),
+          // Nothing is ever pushed without a remote
+          localOnly ? 0 : gitUnpushedCount(gitBinPath, gitDir, gitBranchName),
+        ]),
       );
 
-      new Setting(containerEl)
-        .setName("Status Bar Refresh Interval")
-        .addText((text) =>
-          text
-            .setValue(`${this.plugin.settings.statusBarRefreshInterval}`)
-            .onChange(async (value) => {
-              const interval = parseInt(value);
-              if (interval) {
-                this.plugin.settings.statusBarRefreshInterval = interval;
-                await this.plugin.saveSettings();
-              }
-            }),
+      const parts = [];
+      if (stats.filesChanged > 0) {
+        parts.push(
+          `${stats.filesChanged} files changed +${stats.insertions} -${stats.deletions}`,
         );
+      } else {
+        parts.push("No changes");
+      }
+      if (unpushed > 0) {
+        parts.push(`${unpushed} commits not pushed`);
+      }
+      const lastSuccess = this.getLastSuccessfulBackup();
+      if (lastSuccess) {
+        parts.push(`backed up ${moment(lastSuccess.startedAt).fromNow()}`);
+      }
+      span.textContent = parts.join(" · ");
+    }
+
+    /**
+     * Open the backup history view for a file.
+     *
+     * @param {obsidian.TFile} file
+     * @returns {Promise<void>}
+     */
+    async showHistory(file) {
+      await this.activateView(VIEW_TYPE_HISTORY, { file: file.path });
+    }
+
+    /**
+     * Open the pending changes view.
+     * @returns {Promise<void>}
+     */
+    async showChanges() {
+      await this.activateView(VIEW_TYPE_CHANGES, {});
+    }
+
+    /**
+     * List the largest blobs anywhere in the backup history.
+     * @returns {Promise<void>}
+     */
+    async showLargestFiles() {
+      const { gitBinPath, gitDir } = this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+
+      const blobs = await this.enqueueGit(() =>
+        gitLargestBlobs(gitBinPath, gitDir, LARGEST_FILES_LIMIT),
+      );
+      new GitBackupLargestFilesModal(this.app, blobs).open();
+    }
+
+    /**
+     * Open a picker of files deleted from the vault that still exist in the
+     * backup history.
+     * @returns {Promise<void>}
+     */
+    async recoverDeletedNotes() {
+      const { gitBinPath, gitDir } = this.settings;
+      const { vault } = this.app;
+
+      const deletedFiles = (
+        await this.enqueueGit(() => gitLogDeletedFiles(gitBinPath, gitDir))
+      ).filter((file) => !vault.getAbstractFileByPath(file.path));
+      if (deletedFiles.length === 0) {
+        new Notice("Git backup: No deleted notes found");
+        return;
+      }
+
+      /** @type {Map<string, GitDeletedFile[]>} */
+      const folders = new Map();
+      for (const file of deletedFiles) {
+        let dir = path.posix.dirname(file.path);
+        while (dir !== "." && !vault.getAbstractFileByPath(dir)) {
+          const files = folders.get(dir) ?? [];
+          files.push(file);
+          folders.set(dir, files);
+          dir = path.posix.dirname(dir);
+        }
+      }
+
+      /** @type {DeletedItem[]} */
+      const items = [
+        ...Array.from(folders).map(([dir, files]) => ({
+          path: `${dir}/`,
+          files,
+        })),
+        ...deletedFiles.map((file) => ({ path: file.path, files: [file] })),
+      ];
+
+      new GitBackupDeletedFilesModal(this, items).open();
+    }
+
+    /**
+     * Fetch the backup remote and pick a commit or tag to restore the whole
+     * vault from.
+     * @returns {Promise<void>}
+     */
+    async restoreVault() {
+      const { gitBinPath, gitDir, localOnly, gitRemoteURL, gitBranchName } =
+        this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+      assert(localOnly || gitRemoteURL, "gitRemoteURL isn't set");
+
+      const revisions = await this.enqueueGit(async () => {
+        if (!localOnly) {
+          await gitFetch(gitBinPath, gitDir, gitRemoteURL);
+        }
+        return await gitListRevisions(gitBinPath, gitDir, gitBranchName);
+      });
+      this.pickRevisionToRestore(revisions);
+    }
+
+    /**
+     * Fetch a bundle file into the backup repository and pick a commit or
+     * tag from it to restore the whole vault from. Without a repository yet,
+     * the bundle's branches become the backup history.
+     *
+     * @param {string} bundlePath
+     * @returns {Promise<void>}
+     */
+    async restoreFromBundle(bundlePath) {
+      const { gitBinPath, gitDir, gitRemoteURL, gitBranchName } = this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+
+      const revisions = await this.enqueueGit(async () => {
+        const branch = await gitFetchBundle(
+          gitBinPath,
+          gitDir,
+          bundlePath,
+          gitBranchName,
+          gitRemoteURL,
+        );
+        await this.configureEncryption();
+        return await gitListRevisions(gitBinPath, gitDir, branch);
+      });
+      this.pickRevisionToRestore(revisions);
+    }
+
+    /**
+     * @param {GitRevision[]} revisions
+     */
+    pickRevisionToRestore(revisions) {
+      if (revisions.length === 0) {
+        new Notice("Git backup: No backups found");
+        return;
+      }
+
+      new GitBackupRevisionModal(this.app, revisions, (revision) => {
+        new GitBackupRestoreVaultModal(this, revision).open();
+      }).open();
+    }
+
+    /**
+     * Write the backup history, or only what was added after a tag, to a
+     * bundle file in a directory.
+     *
+     * @param {string} dir
+     * @param {string | null} since tag the receiving side already has
+     * @returns {Promise<string | null>} path of the bundle file, null when
+     *   there's nothing to export
+     */
+    async exportBundle(dir, since) {
+      const { gitBinPath, gitDir } = this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+      assert(await exists(dir), `${dir} doesn't exist`);
+
+      const timestamp = moment().format("YYYY-MM-DD-HHmmss");
+      const bundlePath = path.join(
+        dir,
+        `${this.app.vault.getName()}-${timestamp}.bundle`,
+      );
+      const created = await this.enqueueGit(() =>
+        gitCreateBundle(gitBinPath, gitDir, bundlePath, since),
+      );
+      return created ? bundlePath : null;
+    }
+
+    /**
+     * Restore a file from a backup commit into the vault, creating any
+     * missing parent folders.
+     *
+     * @param {string} rev
+     * @param {string} filePath
+     * @returns {Promise<void>}
+     */
+    async restoreFromBackup(rev, filePath) {
+      const { gitBinPath, gitDir } = this.settings;
+      const { vault } = this.app;
+
+      const buffer = await this.enqueueGit(() =>
+        gitShowBlob(gitBinPath, gitDir, rev, filePath),
+      );
+      const data = buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength,
+      );
+
+      const file = vault.getAbstractFileByPath(filePath);
+      if (file instanceof TFile) {
+        await vault.modifyBinary(file, data);
+        return;
+      }
+
+      const dir = path.posix.dirname(filePath);
+      if (dir !== "." && !vault.getAbstractFileByPath(dir)) {
+        await vault.createFolder(dir);
+      }
+      await vault.createBinary(filePath, data);
+    }
+
+    /**
+     * Create the backup repository, or point an existing one at a new remote,
+     * and save the choices as settings.
+     *
+     * @param {{ url: string; branch: string; localOnly: boolean; reclone: boolean; }} options
+     *   `reclone` deletes an existing repository and starts over from the
+     *   remote instead of keeping its history
+     * @returns {Promise<void>}
+     */
+    async setupRepository({ url, branch, localOnly, reclone }) {
+      const { gitBinPath, gitDir, gitUserName, gitUserEmail } = this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+      assert(branch, "gitBranchName isn't set");
+      assert(localOnly || url, "gitRemoteURL isn't set");
+
+      await this.enqueueGit(async () => {
+        if (reclone && (await exists(gitDir))) {
+          await gitReplaceRepository(gitDir, (newGitDir) =>
+            gitSetupRepository(
+              gitBinPath,
+              newGitDir,
+              url,
+              branch,
+              gitUserName,
+              gitUserEmail,
+            ),
+          );
+          // The encryption filter was set up in the old repository
+          this.encryptionKey = null;
+          await this.configureEncryption();
+        } else if (await exists(gitDir)) {
+          // The next backup pushes whatever the new remote is missing
+          if (!localOnly) await gitSetRemote(gitBinPath, gitDir, url);
+          await gitSwitchBranch(gitBinPath, gitDir, branch);
+        } else if (localOnly) {
+          await gitInit(gitBinPath, gitDir, branch, gitUserName, gitUserEmail);
+        } else {
+          await gitSetupRepository(
+            gitBinPath,
+            gitDir,
+            url,
+            branch,
+            gitUserName,
+            gitUserEmail,
+          );
+        }
+      });
+
+      this.settings.localOnly = localOnly;
+      if (!localOnly) this.settings.gitRemoteURL = url;
+      this.settings.gitBranchName = branch;
+      await this.saveSettings();
+      this.enqueueUpdateStatusBar();
+    }
+
+    /**
+     * Diagnose the backup setup on this device. Problems come with a fix
+     * where there's an obvious one.
+     *
+     * @returns {Promise<HealthCheck[]>}
+     */
+    async checkHealth() {
+      const {
+        gitBinPath,
+        gitDir,
+        localOnly,
+        gitRemoteURL,
+        gitBranchName,
+        gitUserName,
+        gitUserEmail,
+      } = this.settings;
+      const openSetup = async () => {
+        new GitBackupSetupModal(this).open();
+      };
+
+      /** @type {HealthCheck[]} */
+      const checks = [];
+
+      const version = gitBinPath
+        ? await gitVersion(gitBinPath).catch(() => null)
+        : null;
+      if (version) {
+        checks.push(healthCheck("Git", "ok", `${version} at ${gitBinPath}`));
+      } else {
+        checks.push(
+          healthCheck(
+            "Git",
+            "error",
+            gitBinPath ? `${gitBinPath} doesn't run` : "Git Bin Path isn't set",
+            {
+              label: "Re-detect",
+              run: async () => {
+                const found = await detectGit();
+                assert(found, "git wasn't found on the shell's PATH");
+                this.settings.gitBinPath = found;
+                await this.saveSettings();
+              },
+            },
+          ),
+        );
+      }
+
+      const [globalName, globalEmail] = await Promise.all([
+        getGitConfig("user.name"),
+        getGitConfig("user.email"),
+      ]);
+      const globalAuthor = `${globalName || "no name"} <${globalEmail || "no email"}>`;
+      if (gitUserName && gitUserEmail) {
+        checks.push(
+          healthCheck(
+            "Commit Author",
+            "ok",
+            `${gitUserName} <${gitUserEmail}>, git's global config has ${globalAuthor}`,
+          ),
+        );
+      } else {
+        checks.push(
+          healthCheck(
+            "Commit Author",
+            "warning",
+            `Git User Name or Email isn't set, git's global config has ${globalAuthor}`,
+            globalName && globalEmail
+              ? {
+                  label: "Use global config",
+                  run: async () => {
+                    this.settings.gitUserName ||= globalName;
+                    this.settings.gitUserEmail ||= globalEmail;
+                    await this.saveSettings();
+                  },
+                }
+              : null,
+          ),
+        );
+      }
+
+      const auth = [];
+      if (this.settings.sshCommand) auth.push("custom SSH command");
+      else if (this.settings.sshKeyPath) {
+        auth.push(`SSH key ${this.settings.sshKeyPath}`);
+      }
+      if (this.settings.httpsToken) auth.push("HTTPS token");
+      if (this.settings.inheritShellEnv) auth.push("login shell environment");
+      checks.push(
+        healthCheck(
+          "Authentication",
+          "ok",
+          auth.length > 0
+            ? `Using ${auth.join(", ")}`
+            : "Using git's defaults without the login shell environment",
+        ),
+      );
+
+      if (!version) return checks;
+
+      if (!gitDir || !(await exists(gitDir))) {
+        checks.push(
+          healthCheck(
+            "Repository",
+            "error",
+            gitDir ? `${gitDir} doesn't exist yet` : "Git Dir isn't set",
+            { label: "Set up", run: openSetup },
+          ),
+        );
+        return checks;
+      }
+
+      // Checked before queueing, since holding the lock ourselves would hide
+      // someone else's
+      const lockPath = path.join(gitDir, REPOSITORY_LOCK_FILE);
+      const indexLockPath = path.join(gitDir, "index.lock");
+      if (await isStaleLock(lockPath)) {
+        checks.push(
+          healthCheck(
+            "Locks",
+            "error",
+            `${REPOSITORY_LOCK_FILE} was left behind by a window that's gone`,
+            { label: "Remove", run: () => unlinkForce(lockPath) },
+          ),
+        );
+      } else if (await exists(lockPath)) {
+        checks.push(
+          healthCheck(
+            "Locks",
+            "ok",
+            "A backup is running in this or another Obsidian window",
+          ),
+        );
+      } else if (await exists(indexLockPath)) {
+        checks.push(
+          healthCheck(
+            "Locks",
+            "warning",
+            "index.lock was left behind by a git command that didn't finish",
+            {
+              label: "Remove",
+              run: () => this.enqueueGit(() => unlinkForce(indexLockPath)),
+            },
+          ),
+        );
+      } else {
+        checks.push(healthCheck("Locks", "ok", "No lock files"));
+      }
+
+      const { files, problems, objects, exclude, currentURL, divergence } =
+        await this.enqueueGit(async () => ({
+          files: await gitListFiles(gitBinPath, gitDir, "HEAD").catch(() => []),
+          problems: await gitFsck(gitBinPath, gitDir),
+          objects: await gitCountObjects(gitBinPath, gitDir),
+          exclude: await fs.promises
+            .readFile(path.join(gitDir, "info", "exclude"), "utf8")
+            .catch(() => ""),
+          currentURL: await gitGetRemote(gitBinPath, gitDir),
+          divergence: await gitAheadBehind(
+            gitBinPath,
+            gitDir,
+            gitBranchName,
+            `origin/${gitBranchName}`,
+          ),
+        }));
+
+      // The config dir isn't in the vault's file index, and a repository
+      // made for another vault shares hardly any paths with this one
+      const backedUp = files.filter(
+        (file) => !file.startsWith(`${this.app.vault.configDir}/`),
+      );
+      const missing = backedUp.filter(
+        (file) => !this.app.vault.getAbstractFileByPath(file),
+      ).length;
+      if (backedUp.length === 0) {
+        checks.push(
+          healthCheck("Repository", "ok", `${gitDir}, no backups yet`),
+        );
+      } else if (missing > backedUp.length / 2) {
+        checks.push(
+          healthCheck(
+            "Repository",
+            "warning",
+            `${missing} of ${backedUp.length} files in the last backup of ${gitDir} aren't in this vault, it may belong to another vault`,
+            { label: "Set up", run: openSetup },
+          ),
+        );
+      } else {
+        checks.push(
+          healthCheck(
+            "Repository",
+            "ok",
+            `${gitDir}, ${backedUp.length} files in the last backup`,
+          ),
+        );
+      }
+
+      if (problems.length === 0) {
+        checks.push(
+          healthCheck("Integrity", "ok", "git fsck found no problems"),
+        );
+      } else {
+        checks.push(
+          healthCheck(
+            "Integrity",
+            "error",
+            `git fsck found ${problems.length} problems`,
+            null,
+            problems.join("\n"),
+          ),
+        );
+      }
+
+      const size = `${formatBytes(objects.size)}, ${objects.looseObjects} loose objects`;
+      if (
+        objects.looseObjects > GC_LOOSE_OBJECTS_LIMIT ||
+        objects.garbage > 0
+      ) {
+        checks.push(
+          healthCheck(
+            "Size",
+            "warning",
+            `${size}${objects.garbage > 0 ? `, ${objects.garbage} garbage files` : ""}`,
+            {
+              label: "Run git gc",
+              run: () => this.enqueueGit(() => gitGc(gitBinPath, gitDir)),
+            },
+          ),
+        );
+      } else {
+        checks.push(healthCheck("Size", "ok", size));
+      }
+
+      const patterns = exclude
+        .split("\n")
+        .filter((line) => line.trim() && !line.startsWith("#"));
+      checks.push(
+        healthCheck(
+          "Exclusions",
+          "ok",
+          `${patterns.length} patterns in info/exclude`,
+          null,
+          exclude.trim(),
+        ),
+      );
+
+      if (localOnly) {
+        checks.push(
+          healthCheck("Remote", "ok", "Local only, backups aren't pushed"),
+        );
+        return checks;
+      }
+      if (!gitRemoteURL) {
+        checks.push(
+          healthCheck("Remote", "error", "Git Remote URL isn't set", {
+            label: "Set up",
+            run: openSetup,
+          }),
+        );
+        return checks;
+      }
+      if (currentURL !== gitRemoteURL) {
+        checks.push(
+          healthCheck(
+            "Remote",
+            "error",
+            `The repository ${currentURL ? `pushes to ${currentURL}` : "has no remote"}, not ${gitRemoteURL}`,
+            {
+              label: "Repair remote URL",
+              run: () =>
+                this.enqueueGit(() =>
+                  gitSetRemote(gitBinPath, gitDir, gitRemoteURL),
+                ),
+            },
+          ),
+        );
+        return checks;
+      }
+
+      try {
+        const remote = await gitLsRemote(gitBinPath, gitRemoteURL);
+        checks.push(
+          remote.branches.includes(gitBranchName)
+            ? healthCheck("Remote", "ok", `${gitRemoteURL} is reachable`)
+            : healthCheck(
+                "Remote",
+                "warning",
+                `${gitRemoteURL} is reachable but has no ${gitBranchName} branch yet`,
+              ),
+        );
+      } catch (error) {
+        checks.push(
+          healthCheck(
+            "Remote",
+            "error",
+            `Can't reach ${gitRemoteURL}: ${error instanceof Error ? error.message : error}`,
+          ),
+        );
+      }
+
+      if (!divergence) {
+        checks.push(
+          healthCheck("Sync", "warning", `${gitBranchName} was never pushed`),
+        );
+      } else if (divergence.behind > 0) {
+        checks.push(
+          healthCheck(
+            "Sync",
+            "warning",
+            `${divergence.ahead} commits ahead and ${divergence.behind} behind origin as of the last fetch, another device is backing up to ${gitBranchName}`,
+          ),
+        );
+      } else {
+        checks.push(
+          healthCheck(
+            "Sync",
+            "ok",
+            divergence.ahead > 0
+              ? `${divergence.ahead} commits not pushed yet`
+              : "Up to date with origin as of the last fetch",
+          ),
+        );
+      }
+
+      return checks;
+    }
+
+    /**
+     * Reuse or create a leaf in the right sidebar for a plugin view.
+     *
+     * @param {string} type
+     * @param {Record<string, unknown>} state
+     * @returns {Promise<void>}
+     */
+    async activateView(type, state) {
+      const { workspace } = this.app;
+      const leaf =
+        workspace.getLeavesOfType(type)[0] ??
+        workspace.getRightLeaf(false) ??
+        workspace.getLeaf("tab");
+      await leaf.setViewState({ type, active: true, state });
+      await workspace.revealLeaf(leaf);
+    }
+
+    /**
+     * Get path to bare git repository in cache.
+     * @returns {string}
+     */
+    get defaultGitDir() {
+      const vaultName = this.app.vault.getName();
+      assert(vaultName !== "", "vaultName is not set");
+      return path.join(getCacheDir(), `${vaultName}.git`);
+    }
+
+    /**
+     * Get path to Vault directory to use as git work tree.
+     * @returns {string}
+     */
+    get gitWorkTree() {
+      const dataAdapter = this.app.vault.adapter;
+      assert(
+        dataAdapter instanceof obsidian.FileSystemAdapter,
+        "dataAdapter is FileSystemAdapter",
+      );
+      return dataAdapter.getBasePath();
+    }
+
+    /**
+     * Run a git task after every previously queued task has finished, while
+     * holding the repository lock so other windows can't interleave with it.
+     *
+     * @template T
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    enqueueGit(task) {
+      const { gitDir } = this.settings;
+      const result = this.gitQueue.then(() =>
+        withRepositoryLock(gitDir, async () => {
+          // Staging, diffing and reading file contents may all run the
+          // encryption filter
+          if (await exists(gitDir)) {
+            await this.configureEncryption();
+          } else {
+            this.encryptionKey = null;
+            gitFilterEnv = {};
+          }
+          return await task();
+        }),
+      );
+      this.gitQueue = result.catch(() => {});
+      return result;
+    }
+
+    /**
+     * Sync local git repository with remote and record the run in the
+     * activity log.
+     *
+     * @param {string} trigger what started the run, e.g. "manual" or "interval"
+     * @param {string | null} [snapshot] label of a snapshot to tag the backup as
+     * @returns {Promise<string>}
+     */
+    async gitSync(trigger, snapshot = null) {
+      const entry = newActivityEntry(trigger);
+      this.syncsInProgress++;
+      this.renderStatusBarIcon();
+      try {
+        await this.waitForMetadata();
+        const result = await this.enqueueGit(() =>
+          this.runGitSync(trigger, snapshot),
+        );
+        entry.filesChanged = result.commit?.filesChanged ?? 0;
+        entry.commitSha = result.commit?.commitSha ?? null;
+        entry.skipped = result.skipped;
+        entry.warned = result.warned;
+        entry.destinations = result.destinations;
+        if (result.pushError) {
+          entry.status = "push-failed";
+          entry.pushResult = "Failed";
+          entry.error = result.pushError;
+        } else if (result.pushed) {
+          entry.status = "success";
+          entry.pushResult = `Pushed ${result.pushed.commits} commits to ${result.pushed.branch}`;
+        } else {
+          entry.status = result.commit ? "success" : "no-changes";
+          entry.pushResult = this.settings.localOnly
+            ? "Local only"
+            : "Nothing to push";
+        }
+        // Retrying won't fix these, callers alert about them instead
+        if (result.fatalPushError) throw result.fatalPushError;
+        return describeSyncResult(result, this.settings.gitBranchName);
+      } catch (error) {
+        entry.error = error instanceof Error ? error.message : `${error}`;
+        throw error;
+      } finally {
+        this.syncsInProgress--;
+        this.recordActivity(entry);
+        // Lists the vault only if the first backup just created the
+        // repository
+        this.requestRefreshExcluded();
+      }
+    }
+
+    /**
+     * Sync without queueing, only call through `enqueueGit`.
+     *
+     * @param {string} trigger
+     * @param {string | null} snapshot label of a snapshot tag to create on
+     *   the new commit
+     * @returns {Promise<SyncResult>}
+     */
+    async runGitSync(trigger, snapshot) {
+      const {
+        enabled,
+        gitBinPath,
+        gitDir,
+        localOnly,
+        gitRemoteURL,
+        gitBranchName,
+        gitUserName,
+        gitUserEmail,
+        divergenceStrategy,
+      } = this.settings;
+
+      assert(enabled, "plugin is disabled");
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+      assert(localOnly || gitRemoteURL, "gitRemoteURL isn't set");
+
+      // The first backup needs the clone, after that commits are made locally
+      // whether or not the remote is reachable
+      if (!(await exists(gitDir))) {
+        if (localOnly) {
+          await gitInit(
+            gitBinPath,
+            gitDir,
+            gitBranchName,
+            gitUserName,
+            gitUserEmail,
+          );
+        } else {
+          await gitSetupRepository(
+            gitBinPath,
+            gitDir,
+            gitRemoteURL,
+            gitBranchName,
+            gitUserName,
+            gitUserEmail,
+          );
+        }
+      }
+      await this.configureEncryption();
+
+      const paths = this.getStagingPaths();
+      const dirtyPaths = this.dirtyPaths;
+      this.dirtyPaths = new Set();
+
+      let result;
+      try {
+        result = await gitCommitAll(
+          gitBinPath,
+          gitDir,
+          this.gitWorkTree,
+          (changes, group) => this.formatCommitMessage(trigger, changes, group),
+          this.getCommitGrouper(paths === null),
+          gitUserName,
+          gitUserEmail,
+          this.getGitIgnore(),
+          paths,
+          this.getStageOptions(),
+        );
+      } catch (error) {
+        for (const filePath of Array.from(dirtyPaths)) {
+          this.dirtyPaths.add(filePath);
+        }
+        throw error;
+      }
+      this.needsFullRescan = false;
+      const { commit, skipped, warned } = result;
+
+      if (snapshot) {
+        await gitCreateSnapshotTag(
+          gitBinPath,
+          gitDir,
+          snapshot,
+          gitUserName,
+          gitUserEmail,
+        );
+      }
+
+      if (localOnly) {
+        const destinations = await this.pushDestinations();
+        return {
+          commit,
+          skipped,
+          warned,
+          pushed: null,
+          pushError: null,
+          fatalPushError: null,
+          destinations,
+        };
+      }
+
+      /** @type {PushResult | null} */
+      let pushed = null;
+      /** @type {string | null} */
+      let pushError = null;
+      /** @type {Error | null} */
+      let fatalPushError = null;
+      try {
+        pushed = await this.runGitPush();
+        this.pushRetryAttempts = 0;
+        if (this.pushRetryTimer !== null) {
+          window.clearTimeout(this.pushRetryTimer);
+          this.pushRetryTimer = null;
+        }
+      } catch (error) {
+        if (
+          error instanceof GitDivergedError ||
+          error instanceof GitMergeConflictError ||
+          error instanceof GitRemoteChangedError
+        ) {
+          fatalPushError = error;
+        } else {
+          console.warn("git push failed, will retry:", error);
+          this.schedulePushRetry();
+        }
+        pushError = error instanceof Error ? error.message : `${error}`;
+      }
+
+      // Extra destinations don't depend on origin, so they're pushed
+      // whatever happened there
+      const destinations = await this.pushDestinations();
+      return {
+        commit,
+        skipped,
+        warned,
+        pushed,
+        pushError,
+        fatalPushError,
+        destinations,
+      };
+    }
+
+    /**
+     * Push the backup branch and its tags to each enabled extra destination
+     * in turn. Failures are reported per destination rather than thrown.
+     * Only call through `enqueueGit`.
+     *
+     * @returns {Promise<DestinationResult[]>}
+     */
+    async pushDestinations() {
+      const { gitBinPath, gitDir, gitBranchName, destinations } = this.settings;
+
+      /** @type {DestinationResult[]} */
+      const results = [];
+      for (const destination of destinations) {
+        if (!destination.enabled || !destination.url) continue;
+        const name = destination.name || destination.url;
+        try {
+          await gitPushDestination(
+            gitBinPath,
+            gitDir,
+            destination.url,
+            `refs/heads/${gitBranchName}:refs/heads/${
+              destination.branch || gitBranchName
+            }`,
+          );
+          results.push({ name, url: destination.url, error: null });
+        } catch (error) {
+          console.warn(`git push to ${name} failed:`, error);
+          const message = error instanceof Error ? error.message : `${error}`;
+          results.push({ name, url: destination.url, error: message });
+        }
+      }
+      return results;
+    }
+
+    /**
+     * The latest logged push to a destination.
+     *
+     * @param {string} url
+     * @returns {{ startedAt: number; error: string | null; } | null}
+     */
+    getDestinationStatus(url) {
+      for (let i = this.activityLog.length - 1; i >= 0; i--) {
+        const entry = this.activityLog[i];
+        const result = entry.destinations?.find((d) => d.url === url);
+        if (result) {
+          return { startedAt: entry.startedAt, error: result.error };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Render the commit message template for the staged changes, followed by
+     * a body listing changed notes when enabled.
+     *
+     * With grouped commits, the group name is appended to the subject unless
+     * the template places it with `${group}`.
+     *
+     * @param {string} trigger
+     * @param {GitFileChange[]} changes
+     * @param {string | null} [group]
+     * @returns {string}
+     */
+    formatCommitMessage(trigger, changes, group = null) {
+      const {
+        gitCommitMessage,
+        gitCommitMessageTimestampFormat,
+        gitCommitBody,
+      } = this.settings;
+      const template = gitCommitMessage || DEFAULT_COMMIT_MESSAGE;
+      let subject = renderTemplate(template, {
+        timestamp: moment().format(
+          gitCommitMessageTimestampFormat ||
+            DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT,
+        ),
+        hostname: os.hostname(),
+        vault: this.app.vault.getName(),
+        trigger,
+        filesChanged: `${changes.length}`,
+        insertions: `${changes.reduce((sum, c) => sum + c.insertions, 0)}`,
+        deletions: `${changes.reduce((sum, c) => sum + c.deletions, 0)}`,
+        group: group ?? "",
+      });
+      if (group !== null && !template.includes("${group}")) {
+        subject += ` (${group})`;
+      }
+      if (!gitCommitBody || changes.length === 0) return subject;
+      return `${subject}\n\n${describeChangedNotes(changes)}`;
+    }
+
+    /**
+     * Name the commit each change goes into for the `commitGrouping`
+     * setting, or null to commit everything together.
+     *
+     * @param {boolean} [fullRescan] whether the backup rescans the whole
+     *   vault, like the first one does
+     * @returns {((change: GitFileChange) => string) | null}
+     */
+    getCommitGrouper(fullRescan = false) {
+      const { configDir } = this.app.vault;
+      switch (this.settings.commitGrouping) {
+        case "folder":
+          return (change) => {
+            const [top, ...rest] = change.path.split("/");
+            return rest.length > 0 ? top : "/";
+          };
+        case "type":
+          return (change) => {
+            if (change.path.startsWith(`${configDir}/`)) return "config";
+            return change.path.endsWith(".md") ? "notes" : "attachments";
+          };
+        case "note":
+          // A rescan can turn up the whole vault, one commit per file would
+          // bury the history
+          if (fullRescan) return null;
+          return (change) => change.path;
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Paths to restage in the next commit, or null for a full rescan.
+     *
+     * @returns {string[] | null}
+     */
+    getStagingPaths() {
+      if (
+        this.needsFullRescan ||
+        this.dirtyPaths.size > INCREMENTAL_STAGING_LIMIT
+      ) {
+        return null;
+      }
+      // Vault events don't cover the config dir, so always restage it
+      return [...Array.from(this.dirtyPaths), this.app.vault.configDir];
+    }
+
+    /**
+     * Collect the settings and vault state that decide what gets staged
+     * beyond the ignore rules.
+     *
+     * @returns {StageOptions}
+     */
+    getStageOptions() {
+      const { maxFileSize, largeFileRules, encryptBackups } = this.settings;
+      return {
+        largeFiles: parseLargeFilePolicy(maxFileSize, largeFileRules),
+        encrypted: encryptBackups,
+        privateNotes: this.getPrivateNotes(),
+      };
+    }
+
+    /**
+     * Find notes excluded by `backup: false` in their frontmatter or by one
+     * of the Exclude Tags, and notes with Redact Frontmatter Keys. The whole
+     * vault is only scanned when those settings change, after that the
+     * metadata and vault events keep the result up to date. Until every note
+     * has been indexed, which may take a while after Obsidian starts, the
+     * scan isn't kept.
+     *
+     * @returns {PrivateNotes}
+     */
+    getPrivateNotes() {
+      const { excludeTags, redactFrontmatterKeys } = this.settings;
+      const settings = JSON.stringify([excludeTags, redactFrontmatterKeys]);
+      if (this.privateNotesCache?.settings !== settings) {
+        const tags = splitList(excludeTags).map((tag) =>
+          (tag.startsWith("#") ? tag : `#${tag}`).toLowerCase(),
+        );
+        const keys = splitList(redactFrontmatterKeys);
+        /** @type {Map<string, "excluded" | "redacted">} */
+        const notes = new Map();
+        let indexed = true;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+          indexed &&= this.app.metadataCache.getFileCache(file) !== null;
+          const privacy = this.getNotePrivacy(file, tags, keys);
+          if (privacy) notes.set(file.path, privacy);
+        }
+        const scan = { settings, tags, keys, notes };
+        if (!indexed) return this.listPrivateNotes(scan);
+        this.privateNotesCache = scan;
+      }
+      return this.listPrivateNotes(this.privateNotesCache);
+    }
+
+    /**
+     * @param {{ keys: string[]; notes: Map<string, "excluded" | "redacted">; }} scan
+     * @returns {PrivateNotes}
+     */
+    listPrivateNotes({ keys, notes }) {
+      /** @type {PrivateNotes} */
+      const privateNotes = { excluded: [], redacted: [], redactKeys: keys };
+      for (const [filePath, privacy] of Array.from(notes)) {
+        privateNotes[privacy].push(filePath);
+      }
+      return privateNotes;
+    }
+
+    /**
+     * Wait until every note has been indexed. Notes that aren't yet are
+     * treated as excluded, so a backup started right after Obsidian starts
+     * would otherwise remove them from the backup.
+     * @returns {Promise<void>}
+     */
+    async waitForMetadata() {
+      const { metadataCache, vault } = this.app;
+      while (
+        vault
+          .getMarkdownFiles()
+          .some((file) => metadataCache.getFileCache(file) === null)
+      ) {
+        await new Promise((resolve) => {
+          const ref = metadataCache.on("resolved", () => {
+            metadataCache.offref(ref);
+            resolve(undefined);
+          });
+        });
+      }
+    }
+
+    /**
+     * @param {obsidian.TFile} file
+     * @param {string[]} tags lowercase, with a leading #
+     * @param {string[]} keys
+     * @returns {"excluded" | "redacted" | null}
+     */
+    getNotePrivacy(file, tags, keys) {
+      const cache = this.app.metadataCache.getFileCache(file);
+      // Not indexed yet, it may well be private
+      if (!cache) return "excluded";
+      const { frontmatter } = cache;
+
+      const noteTags = (getAllTags(cache) ?? []).map((tag) =>
+        tag.toLowerCase(),
+      );
+      if (
+        frontmatter?.backup === false ||
+        noteTags.some((noteTag) =>
+          tags.some((tag) => noteTag === tag || noteTag.startsWith(`${tag}/`)),
+        )
+      ) {
+        return "excluded";
+      } else if (frontmatter && keys.some((key) => key in frontmatter)) {
+        return "redacted";
+      }
+      return null;
+    }
+
+    /**
+     * Reclassify a note in the private notes cache after it was created or
+     * its metadata changed.
+     *
+     * @param {obsidian.TFile} file
+     * @returns {void}
+     */
+    updatePrivateNote(file) {
+      const cache = this.privateNotesCache;
+      if (!cache) return;
+      const privacy = this.getNotePrivacy(file, cache.tags, cache.keys);
+      if (privacy) {
+        cache.notes.set(file.path, privacy);
+      } else {
+        cache.notes.delete(file.path);
+      }
+    }
+
+    /**
+     * Move a note in the private notes cache, or drop it when it's deleted.
+     *
+     * @param {string} oldPath
+     * @param {string | null} filePath
+     * @returns {void}
+     */
+    movePrivateNote(oldPath, filePath) {
+      const notes = this.privateNotesCache?.notes;
+      const privacy = notes?.get(oldPath);
+      if (!notes || !privacy) return;
+      notes.delete(oldPath);
+      if (filePath !== null) notes.set(filePath, privacy);
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {boolean}
+     */
+    isExcluded(filePath) {
+      for (const excluded of Array.from(this.excludedPaths)) {
+        if (
+          excluded === filePath ||
+          (excluded.endsWith("/") && `${filePath}/`.startsWith(excluded))
+        ) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Add or remove an ignore rule for a single file or folder. When other
+     * rules still match after removing its own, a negated rule is added.
+     *
+     * @param {obsidian.TAbstractFile} file
+     * @param {boolean} excluded
+     * @returns {Promise<void>}
+     */
+    async setExcluded(file, excluded) {
+      const { gitBinPath, gitDir } = this.settings;
+      const pattern = `/${escapeGitIgnorePattern(file.path)}${
+        file instanceof TFolder ? "/" : ""
+      }`;
+      const lines = this.settings.gitIgnore
+        .split("\n")
+        .filter((line) => line !== pattern && line !== `!${pattern}`);
+
+      if (excluded) {
+        lines.push(pattern);
+      } else if (await exists(gitDir)) {
+        const stillIgnored = await this.enqueueGit(() =>
+          gitListIgnored(
+            gitBinPath,
+            gitDir,
+            this.gitWorkTree,
+            lines.join("\n"),
+            [file.path],
+          ),
+        );
+        if (stillIgnored.length > 0) {
+          lines.push(`!${pattern}`);
+        }
+      }
+
+      this.settings.gitIgnore = lines.join("\n").trim();
+      await this.saveSettings();
+      await this.refreshExcluded();
+    }
+
+    /**
+     * Reload which vault paths the ignore rules leave out of backups and
+     * mark them in the file explorer. The whole vault is only listed again
+     * when the rules changed, otherwise just the paths created or renamed
+     * since are checked.
+     * @returns {Promise<void>}
+     */
+    async refreshExcluded() {
+      const { gitBinPath, gitDir } = this.settings;
+      if (!gitBinPath || !gitDir || !(await exists(gitDir))) return;
+
+      const gitIgnore = this.getGitIgnore();
+      const rulesChanged = gitIgnore !== this.excludedRules;
+      const paths = rulesChanged ? [] : Array.from(this.excludedPathsToCheck);
+      if (!rulesChanged && paths.length === 0) return;
+      this.excludedPathsToCheck.clear();
+
+      const ignored = await this.enqueueGit(() =>
+        gitListIgnored(gitBinPath, gitDir, this.gitWorkTree, gitIgnore, paths),
+      );
+      if (rulesChanged) {
+        this.excludedPaths = new Set(ignored);
+        this.excludedRules = gitIgnore;
+      } else {
+        for (const filePath of ignored) this.excludedPaths.add(filePath);
+      }
+      this.renderExcludedStyle();
+    }
+
+    /**
+     * Drop a path that was deleted or renamed, and anything under it, from
+     * `excludedPaths`.
+     *
+     * @param {string} oldPath
+     * @returns {void}
+     */
+    forgetExcluded(oldPath) {
+      for (const excluded of Array.from(this.excludedPaths)) {
+        if (excluded === oldPath || excluded.startsWith(`${oldPath}/`)) {
+          this.excludedPaths.delete(excluded);
+        }
+      }
+    }
+
+    /**
+     * Collapse `excludedPaths` to the topmost excluded files and folders in
+     * the vault. A folder counts as excluded when everything in it is, since
+     * tracked files in an ignored folder are listed one by one.
+     *
+     * @returns {string[]} folders with a trailing slash
+     */
+    getExcludedRoots() {
+      /** @type {string[]} */
+      const roots = [];
+
+      /**
+       * @param {obsidian.TFolder} folder
+       * @returns {boolean} whether everything in `folder` is excluded
+       */
+      const collect = (folder) => {
+        const excluded = folder.children.map((child) => {
+          if (!(child instanceof TFolder)) {
+            return this.excludedPaths.has(child.path);
+          }
+          return this.excludedPaths.has(`${child.path}/`) || collect(child);
+        });
+        if (
+          !folder.isRoot() &&
+          excluded.length > 0 &&
+          excluded.every(Boolean)
+        ) {
+          return true;
+        }
+        folder.children.forEach((child, i) => {
+          if (!excluded[i]) return;
+          roots.push(child instanceof TFolder ? `${child.path}/` : child.path);
+        });
+        return false;
+      };
+      collect(this.app.vault.getRoot());
+      return roots;
+    }
+
+    /**
+     * Dim excluded files and folders in the file explorer. Explorer items are
+     * rendered lazily, so this matches them with CSS rather than touching
+     * the DOM. Excluded folders are matched by prefix, so the stylesheet
+     * doesn't grow with the files in them.
+     */
+    renderExcludedStyle() {
+      if (!this.excludedStyleEl) return;
+
+      const titles = [".nav-file-title", ".nav-folder-title"];
+      /** @type {string[]} */
+      const matched = [];
+      /** @type {string[]} */
+      const roots = [];
+      for (const excluded of this.getExcludedRoots()) {
+        const filePath = excluded.replace(/\/$/, "");
+        for (const title of titles) {
+          roots.push(`${title}[data-path="${CSS.escape(filePath)}"]`);
+          if (excluded.endsWith("/")) {
+            matched.push(`${title}[data-path^="${CSS.escape(excluded)}"]`);
+          }
+        }
+      }
+      if (roots.length === 0) {
+        this.excludedStyleEl.textContent = "";
+        return;
+      }
+
+      this.excludedStyleEl.textContent = `
+        ${[...roots, ...matched].join(",\n")} {
+          opacity: 0.5;
+        }
+        ${roots.map((selector) => `${selector}::after`).join(",\n")} {
+          content: "excluded";
+          margin-inline-start: auto;
+          padding-inline-start: var(--size-4-2);
+          font-size: var(--font-ui-smaller);
+          color: var(--text-faint);
+        }
+      `;
+    }
+
+    /**
+     * Stage changes the way the next backup would and show them in a modal
+     * instead of committing.
+     * @returns {Promise<void>}
+     */
+    async previewBackup() {
+      const { gitBinPath, gitDir } = this.settings;
+      assert(gitBinPath, "gitBinPath isn't set");
+      assert(gitDir, "gitDir isn't set");
+
+      await this.waitForMetadata();
+      const gitIgnore = this.getGitIgnore();
+      const paths = this.getStagingPaths();
+      const preview = await this.enqueueGit(() =>
+        gitPreviewCommit(
+          gitBinPath,
+          gitDir,
+          this.gitWorkTree,
+          gitIgnore,
+          paths,
+          this.getStageOptions(),
+        ),
+      );
+      // The preview rewrote info/exclude and info/attributes, so the next
+      // commit can't tell the rules changed on its own
+      if (preview.rulesChanged) {
+        this.needsFullRescan = true;
+      }
+
+      new GitBackupPreviewModal(this, preview.changes, preview.skipped).open();
+    }
+
+    /**
+     * Derive the encryption key for the repository and set up the filter
+     * when backups are encrypted. `enqueueGit` runs this before every task,
+     * tasks that create the repository have to run it again after.
+     * @returns {Promise<void>}
+     */
+    async configureEncryption() {
+      const { gitBinPath, gitDir, encryptBackups, encryptionPassphrase } =
+        this.settings;
+      if (!encryptBackups) {
+        gitFilterEnv = {};
+        return;
+      }
+      // Committing plaintext by mistake can't be undone once it's pushed
+      assert(encryptionPassphrase, "encryptionPassphrase isn't set");
+
+      const cached = this.encryptionKey;
+      if (
+        cached?.gitDir === gitDir &&
+        cached.passphrase === encryptionPassphrase
+      ) {
+        return;
+      }
+
+      const sample = await gitEncryptedSample(gitBinPath, gitDir);
+      const salt = await gitEncryptionSalt(gitBinPath, gitDir, sample);
+      const key = await util.promisify(crypto.scrypt)(
+        encryptionPassphrase,
+        Buffer.from(salt, "hex"),
+        64,
+      );
+      // Otherwise the filter fails on the first file it has to decrypt,
+      // with nothing but git's error to go by
+      assert(
+        !sample || isEncryptedWithKey(sample, salt, key),
+        "The Encryption Passphrase doesn't match the one this backup was encrypted with",
+      );
+      // Files staged before the filter was set up are still plaintext
+      if (await gitConfigureEncryption(gitBinPath, gitDir)) {
+        this.needsFullRescan = true;
+      }
+      this.encryptionKey = {
+        gitDir,
+        passphrase: encryptionPassphrase,
+        value: `${salt}:${key.toString("hex")}`,
+      };
+      gitFilterEnv = { [ENCRYPTION_KEY_ENV]: this.encryptionKey.value };
+    }
+
+    /**
+     * Fetch the remote and push any commits it doesn't have yet, without
+     * queueing. Only call through `enqueueGit`.
+     *
+     * @returns {Promise<PushResult | null>}
+     */
+    async runGitPush() {
+      const {
+        gitBinPath,
+        gitDir,
+        gitRemoteURL,
+        gitBranchName,
+        gitUserName,
+        gitUserEmail,
+        divergenceStrategy,
+      } = this.settings;
+
+      await gitFetch(gitBinPath, gitDir, gitRemoteURL);
+
+      const commits = await gitUnpushedCount(gitBinPath, gitDir, gitBranchName);
+      if (commits === 0) {
+        // Tags only follow a branch push, so a snapshot of a commit that was
+        // already pushed, or one left over from a failed push, goes alone
+        const tags = await gitUnpushedTags(gitBinPath, gitDir, "origin");
+        if (tags.length > 0) {
+          await gitPush(gitBinPath, gitDir, "origin", ...tags);
+        }
+        return null;
+      }
+
+      const upstream = `origin/${gitBranchName}`;
+      const divergence = await gitAheadBehind(
+        gitBinPath,
+        gitDir,
+        gitBranchName,
+        upstream,
+      );
+      if (divergence && divergence.behind > 0) {
+        if (divergenceStrategy === "device-branch") {
+          const deviceBranch = getDeviceBranchName(gitBranchName);
+          await gitPush(
+            gitBinPath,
+            gitDir,
+            "origin",
+            `${gitBranchName}:refs/heads/${deviceBranch}`,
+          );
+          return { branch: deviceBranch, commits };
+        } else if (divergenceStrategy === "merge") {
+          await gitMerge(
+            gitBinPath,
+            gitDir,
+            this.gitWorkTree,
+            gitBranchName,
+            upstream,
+            `Merge ${upstream} from another device`,
+            gitUserName,
+            gitUserEmail,
+          );
+        } else {
+          throw new GitDivergedError(gitBranchName, divergence);
+        }
+      }
+
+      await gitPush(gitBinPath, gitDir, "origin", gitBranchName);
+      return { branch: gitBranchName, commits };
+    }
+
+    /**
+     * Retry pushing after a failure, backing off exponentially.
+     */
+    schedulePushRetry() {
+      if (this.pushRetryTimer !== null) return;
+      const delay = Math.min(
+        PUSH_RETRY_BASE_DELAY * 2 ** this.pushRetryAttempts,
+        PUSH_RETRY_MAX_DELAY,
+      );
+      this.pushRetryAttempts++;
+      console.log(`git push: retrying in ${delay / 1000}s`);
+      this.pushRetryTimer = window.setTimeout(() => {
+        this.pushRetryTimer = null;
+        this.retryPushNow();
+      }, delay);
+    }
+
+    /**
+     * Retry a failed push immediately, e.g. when the network comes back.
+     */
+    retryPushNow() {
+      if (this.pushRetryTimer !== null) {
+        window.clearTimeout(this.pushRetryTimer);
+        this.pushRetryTimer = null;
+      }
+      const entry = newActivityEntry("retry");
+      this.enqueueGit(async () => {
+        try {
+          return await this.runGitPush();
+        } finally {
+          entry.destinations = await this.pushDestinations();
+        }
+      })
+        .then((pushed) => {
+          this.pushRetryAttempts = 0;
+          if (pushed) {
+            entry.status = "success";
+            entry.pushResult = `Pushed ${pushed.commits} commits to ${pushed.branch}`;
+          } else {
+            entry.status = "no-changes";
+            entry.pushResult = "Nothing to push";
+          }
+        })
+        .catch((error) => {
+          console.warn("git push retry failed:", error);
+          entry.status = "push-failed";
+          entry.pushResult = "Failed";
+          entry.error = error instanceof Error ? error.message : `${error}`;
+          if (
+            !(
+              error instanceof GitDivergedError ||
+              error instanceof GitRemoteChangedError
+            )
+          ) {
+            this.schedulePushRetry();
+          }
+        })
+        .finally(() => {
+          this.recordActivity(entry);
+          this.enqueueUpdateStatusBar();
+        });
+    }
+  }
+
+  /**
+   * @typedef {{ branch: string; commits: number; }} PushResult
+   */
+
+  /**
+   * @typedef {{
+   *   commit: { commitSha: string; commits: number; filesChanged: number; insertions: number; deletions: number; } | null,
+   *   skipped: string[],
+   *   warned: string[],
+   *   pushed: PushResult | null,
+   *   pushError: string | null,
+   *   fatalPushError: Error | null,
+   *   destinations: DestinationResult[],
+   * }} SyncResult
+   */
+
+  /**
+   * @typedef {{ name: string, url: string, branch: string, enabled: boolean }} BackupDestination
+   */
+
+  /**
+   * @typedef {{ name: string, url: string, error: string | null }} DestinationResult
+   */
+
+  /**
+   * @typedef {{
+   *   trigger: string,
+   *   startedAt: number,
+   *   duration: number,
+   *   status: string,
+   *   filesChanged: number,
+   *   commitSha: string | null,
+   *   pushResult: string | null,
+   *   error: string | null,
+   *   skipped?: string[],
+   *   warned?: string[],
+   *   destinations?: DestinationResult[],
+   * }} ActivityLogEntry
+   */
+
+  /**
+   * Start an activity log entry for a run, assumed failed until filled in.
+   *
+   * @param {string} trigger
+   * @returns {ActivityLogEntry}
+   */
+  function newActivityEntry(trigger) {
+    return {
+      trigger,
+      startedAt: Date.now(),
+      duration: 0,
+      status: "error",
+      filesChanged: 0,
+      commitSha: null,
+      pushResult: null,
+      error: null,
+    };
+  }
+
+  /**
+   * Replace `${name}` placeholders with `variables`. Unknown names are left
+   * as they are.
+   *
+   * @param {string} template
+   * @param {Record<string, string>} variables
+   * @returns {string}
+   */
+  function renderTemplate(template, variables) {
+    return template.replace(/\$\{(\w+)\}/g, (match, name) =>
+      Object.hasOwn(variables, name) ? variables[name] : match,
+    );
+  }
+
+  /**
+   * List changed note titles for a commit body, one per line, with other
+   * files summarized in a count.
+   *
+   * @param {GitFileChange[]} changes
+   * @returns {string}
+   */
+  function describeChangedNotes(changes) {
+    /** @param {string} filePath */
+    const title = (filePath) => path.posix.basename(filePath, ".md");
+
+    const notes = changes.filter((change) => change.path.endsWith(".md"));
+    const lines = notes.slice(0, COMMIT_BODY_NOTE_LIMIT).map((change) => {
+      const status = CHANGE_STATUS_LABELS[change.status] ?? change.status;
+      const renamed = change.oldPath ? ` (was ${title(change.oldPath)})` : "";
+      return `${status}: ${title(change.path)}${renamed}`;
+    });
+    if (notes.length > COMMIT_BODY_NOTE_LIMIT) {
+      lines.push(`And ${notes.length - COMMIT_BODY_NOTE_LIMIT} more notes`);
+    }
+    const others = changes.length - notes.length;
+    if (others > 0) {
+      lines.push(`${others} other files changed`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Parse comma separated `HH:mm-HH:mm` ranges into minutes since midnight.
+   * Invalid ranges are ignored. Ranges may wrap past midnight.
+   *
+   * @param {string} value
+   * @returns {{ start: number; end: number; }[]}
+   */
+  function parseTimeWindows(value) {
+    const windows = [];
+    for (const range of value.split(",")) {
+      const match = range
+        .trim()
+        .match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+      if (!match) continue;
+      const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+      windows.push({
+        start: startHour * 60 + startMinute,
+        end: endHour * 60 + endMinute,
+      });
+    }
+    return windows;
+  }
+
+  /**
+   * @param {{ start: number; end: number; }[]} windows
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  function isWithinTimeWindows(windows, date) {
+    if (windows.length === 0) return true;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return windows.some(({ start, end }) =>
+      start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end,
+    );
+  }
+
+  /**
+   * Summarize a sync for a Notice.
+   *
+   * @param {SyncResult} result
+   * @param {string} branch
+   * @returns {string}
+   */
+  function describeSyncResult(result, branch) {
+    const notes = [];
+    if (result.skipped.length > 0) {
+      notes.push(
+        `Skipped ${result.skipped.length} large files: ${listPaths(result.skipped)}`,
+      );
+    }
+    if (result.warned.length > 0) {
+      notes.push(
+        `Backed up ${result.warned.length} files flagged by the large file policy: ${listPaths(result.warned)}`,
+      );
+    }
+    for (const destination of result.destinations) {
+      if (destination.error) {
+        notes.push(`Push to ${destination.name} failed: ${destination.error}`);
+      }
+    }
+    return [describeSyncOutcome(result, branch), ...notes].join(". ");
+  }
+
+  /**
+   * @param {SyncResult} result
+   * @param {string} branch
+   * @returns {string}
+   */
+  function describeSyncOutcome({ commit, pushed, pushError }, branch) {
+    if (pushError) {
+      if (commit) {
+        return `Committed ${commit.filesChanged} files locally, push failed: ${pushError}`;
+      }
+      return `Push failed: ${pushError}`;
+    }
+    const commits =
+      commit && commit.commits > 1 ? ` in ${commit.commits} commits` : "";
+    if (!pushed) {
+      // Only in local-only mode, otherwise new commits are always pushed
+      if (commit) {
+        return `Committed ${commit.filesChanged} files${commits} locally`;
+      }
+      return "No changes";
+    }
+    const target = pushed.branch === branch ? "" : ` to ${pushed.branch}`;
+    if (commit) {
+      return `Pushed ${commit.filesChanged} files${commits}${target}`;
+    }
+    return `Pushed ${pushed.commits} pending commits${target}`;
+  }
+
+  /**
+   * @typedef {{
+   *   name: string,
+   *   status: "ok" | "warning" | "error",
+   *   detail: string,
+   *   fix: { label: string; run: () => Promise<void>; } | null,
+   *   output: string | null,
+   * }} HealthCheck
+   */
+
+  /**
+   * @param {string} name
+   * @param {HealthCheck["status"]} status
+   * @param {string} detail
+   * @param {HealthCheck["fix"]} [fix]
+   * @param {string | null} [output] longer text shown below the detail
+   * @returns {HealthCheck}
+   */
+  function healthCheck(name, status, detail, fix = null, output = null) {
+    return { name, status, detail, fix, output };
+  }
+
+  /**
+   * Plain text health report to paste into a chat or issue.
+   *
+   * @param {HealthCheck[]} checks
+   * @returns {string}
+   */
+  function formatHealthReport(checks) {
+    const lines = [];
+    for (const check of checks) {
+      lines.push(`[${check.status}] ${check.name}: ${check.detail}`);
+      if (check.output) {
+        lines.push(...check.output.split("\n").map((line) => `    ${line}`));
+      }
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Join the first few paths for a Notice.
+   *
+   * @param {string[]} paths
+   * @returns {string}
+   */
+  function listPaths(paths) {
+    const listed = paths.slice(0, 3).join(", ");
+    return paths.length > 3 ? `${listed} and ${paths.length - 3} more` : listed;
+  }
+
+  class GitDivergedError extends Error {
+    /**
+     * @param {string} branch
+     * @param {{ ahead: number; behind: number; }} divergence
+     */
+    constructor(branch, { ahead, behind }) {
+      super(
+        `Branch ${branch} has diverged from origin (${ahead} local, ${behind} remote commits). ` +
+          "Another device is probably backing up to the same branch. " +
+          'Change "When Backups Diverge" in settings to push to a per-device branch or merge both devices\' backups.',
+      );
+      this.name = "GitDivergedError";
+    }
+  }
+
+  class GitMergeConflictError extends Error {
+    /**
+     * @param {string} upstream
+     * @param {string[]} paths
+     */
+    constructor(upstream, paths) {
+      super(
+        `Can't merge ${upstream}, another device changed the same files as this one: ${listPaths(paths)}. ` +
+          'Change "When Backups Diverge" in settings to push to a per-device branch, or edit one copy to match the other.',
+      );
+      this.name = "GitMergeConflictError";
+    }
+  }
+
+  class GitRemoteChangedError extends Error {
+    /**
+     * @param {string | null} current
+     * @param {string} url
+     */
+    constructor(current, url) {
+      super(
+        `The backup repository ${current ? `pushes to ${current}` : "has no remote"}, not ${url}. ` +
+          'Run "Set up backup repository" to switch it to the new Git Remote URL.',
+      );
+      this.name = "GitRemoteChangedError";
+    }
+  }
+
+  class GitBackupSettingTab extends PluginSettingTab {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     *
+     * @param {obsidian.App} app
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(app, plugin) {
+      super(app, plugin);
+      this.plugin = plugin;
+    }
+
+    display() {
+      const { containerEl } = this;
+
+      containerEl.empty();
+
+      // Add <style scoped> to containerEl
+      // and set width of text inputs to 100%
+      const style = document.createElement("style");
+      style.textContent = `
+        .setting-item-control > input[type="text"] {
+          width: 100%;
+          text-align: right;
+        }
+      `;
+      style.setAttribute("scoped", "");
+      containerEl.appendChild(style);
+
+      new Setting(containerEl)
+        .setName("Setup")
+        .setDesc(
+          "Detect git, check the remote and create the backup repository, or switch it to a new remote",
+        )
+        .addButton((button) =>
+          button.setButtonText("Open").onClick(() => {
+            new GitBackupSetupModal(this.plugin).open();
+          }),
+        );
+
+      new Setting(containerEl)
+        .setName("Health Check")
+        .setDesc(
+          "Check git, the repository and the remote for problems, with fixes",
+        )
+        .addButton((button) =>
+          button.setButtonText("Check").onClick(() => {
+            new GitBackupDoctorModal(this.plugin).open();
+          }),
+        );
+
+      new Setting(containerEl).setName("Synced Settings").setHeading();
+
+      new Setting(containerEl)
+        .setName("Git Remote URL")
+        .setDesc(
+          "Not used on devices with Local Only turned on. Run Setup after changing it.",
+        )
+        .addText((text) =>
+          text
+            .setValue(this.plugin.settings.gitRemoteURL)
+            .onChange(async (value) => {
+              this.plugin.settings.gitRemoteURL = value;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Extra Backup Destinations")
+        .setDesc(
+          "Also push each backup to these remotes or local paths, like a bare repository on an external drive",
+        )
+        .addButton((button) =>
+          button.setButtonText("Add").onClick(() => {
+            new GitBackupDestinationModal(this.plugin, null, () =>
+              this.display(),
+            ).open();
+          }),
+        );
+
+      this.plugin.settings.destinations.forEach((destination, index) => {
+        const status = this.plugin.getDestinationStatus(destination.url);
+        const branch = destination.branch || this.plugin.settings.gitBranchName;
+        let desc = `${destination.url} (${branch})`;
+        if (status?.error) {
+          desc += ` · Failed ${moment(status.startedAt).fromNow()}: ${status.error}`;
+        } else if (status) {
+          desc += ` · Pushed ${moment(status.startedAt).fromNow()}`;
+        }
+
+        new Setting(containerEl)
+          .setName(destination.name || destination.url)
+          .setDesc(desc)
+          .addToggle((toggle) =>
+            toggle.setValue(destination.enabled).onChange(async (value) => {
+              const destinations = [...this.plugin.settings.destinations];
+              destinations[index] = { ...destination, enabled: value };
+              this.plugin.settings.destinations = destinations;
+              await this.plugin.saveSettings();
+            }),
+          )
+          .addExtraButton((button) =>
+            button
+              .setIcon("pencil")
+              .setTooltip("Edit")
+              .onClick(() => {
+                new GitBackupDestinationModal(this.plugin, index, () =>
+                  this.display(),
+                ).open();
+              }),
+          )
+          .addExtraButton((button) =>
+            button
+              .setIcon("trash")
+              .setTooltip("Remove")
+              .onClick(async () => {
+                this.plugin.settings.destinations =
+                  this.plugin.settings.destinations.filter(
+                    (_, i) => i !== index,
+                  );
+                await this.plugin.saveSettings();
+                this.display();
+              }),
+          );
+      });
+
+      new Setting(containerEl).setName("Git Branch Name").addText((text) =>
+        text
+          .setValue(this.plugin.settings.gitBranchName)
+          .onChange(async (value) => {
+            this.plugin.settings.gitBranchName = value;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+      new Setting(containerEl).setName("Git User Name").addText((text) =>
+        text
+          .setValue(this.plugin.settings.gitUserName)
+          .onChange(async (value) => {
+            this.plugin.settings.gitUserName = value;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+      new Setting(containerEl).setName("Git User Email").addText((text) => {
+        text
+          .setValue(this.plugin.settings.gitUserEmail)
+          .onChange(async (value) => {
+            this.plugin.settings.gitUserEmail = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+      new Setting(containerEl)
+        .setName("Git Commit Message")
+        .setDesc(
+          "Available variables: ${timestamp}, ${hostname}, ${vault}, ${filesChanged}, ${insertions}, ${deletions} and ${trigger}",
+        )
+        .addText((text) => {
+          text
+            .setPlaceholder(DEFAULT_COMMIT_MESSAGE)
+            .setValue(this.plugin.settings.gitCommitMessage)
+            .onChange(async (value) => {
+              this.plugin.settings.gitCommitMessage = value;
+              await this.plugin.saveSettings();
+              renderCommitPreview();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("Git Commit Timestamp Format")
+        .addMomentFormat((text) => {
+          text
+            .setDefaultFormat(DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT)
+            .setValue(this.plugin.settings.gitCommitMessageTimestampFormat)
+            .onChange(async (value) => {
+              this.plugin.settings.gitCommitMessageTimestampFormat = value;
+              await this.plugin.saveSettings();
+              renderCommitPreview();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("Git Commit Body")
+        .setDesc("List the titles of changed notes in each commit message")
+        .addToggle((toggle) =>
+          toggle
+            .setValue(this.plugin.settings.gitCommitBody)
+            .onChange(async (value) => {
+              this.plugin.settings.gitCommitBody = value;
+              await this.plugin.saveSettings();
+              renderCommitPreview();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Commit Grouping")
+        .setDesc(
+          "Split each backup into several commits. The group is added to each commit message, or placed with ${group}. One commit per changed file falls back to a single commit when the whole vault is rescanned, like on the first backup, and any grouping does past 50 commits.",
+        )
+        .addDropdown((dropdown) =>
+          dropdown
+            .addOptions(COMMIT_GROUPINGS)
+            .setValue(this.plugin.settings.commitGrouping)
+            .onChange(async (value) => {
+              this.plugin.settings.commitGrouping = value;
+              await this.plugin.saveSettings();
+              renderCommitPreview();
+            }),
+        );
+
+      const commitPreview = new Setting(containerEl).setName(
+        "Commit Message Preview",
+      );
+      const renderCommitPreview = () => {
+        /** @type {GitFileChange[]} */
+        const changes = [
+          {
+            status: "M",
+            path: "Projects/Roadmap.md",
+            oldPath: null,
+            insertions: 12,
+            deletions: 3,
+          },
+          {
+            status: "A",
+            path: "Meetings/Kickoff.md",
+            oldPath: null,
+            insertions: 20,
+            deletions: 0,
+          },
+          {
+            status: "A",
+            path: "Attachments/diagram.png",
+            oldPath: null,
+            insertions: 0,
+            deletions: 0,
+          },
+        ];
+        const groupOf = this.plugin.getCommitGrouper();
+        const message = this.plugin.formatCommitMessage(
+          "manual",
+          groupOf
+            ? changes.filter((c) => groupOf(c) === groupOf(changes[0]))
+            : changes,
+          groupOf ? groupOf(changes[0]) : null,
+        );
+        commitPreview.setDesc(
+          createFragment((fragment) => {
+            fragment.createEl("pre", { text: message });
+          }),
+        );
+      };
+      renderCommitPreview();
+
+      new Setting(containerEl)
+        .setName("Git Ignore")
+        .addTextArea((text) => {
+          text
+            .setValue(this.plugin.settings.gitIgnore)
+            .onChange(async (value) => {
+              this.plugin.settings.gitIgnore = value;
+              await this.plugin.saveSettings();
+              this.plugin.requestRefreshExcluded();
+            });
+        })
+        .addButton((button) =>
+          button.setButtonText("Edit").onClick(() => {
+            new GitBackupExclusionsModal(this.plugin, () =>
+              this.display(),
+            ).open();
+          }),
+        );
+
+      new Setting(containerEl)
+        .setName("Max File Size")
+        .setDesc(
+          "Skip files larger than this many MB, unless they're stored with Git LFS. 0 for no limit.",
+        )
+        .addText((text) =>
+          text
+            .setValue(`${this.plugin.settings.maxFileSize}`)
+            .onChange(async (value) => {
+              const size = parseInt(value);
+              if (size >= 0) {
+                this.plugin.settings.maxFileSize = size;
+                await this.plugin.saveSettings();
+              }
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Large File Rules")
+        .setDesc(
+          "One extension per line followed by skip, warn or lfs, e.g. mp4: skip. lfs falls back to warn when git-lfs isn't installed.",
+        )
+        .addTextArea((text) => {
+          text
+            .setPlaceholder("mp4: skip\npdf: warn\npsd: lfs")
+            .setValue(this.plugin.settings.largeFileRules)
+            .onChange(async (value) => {
+              this.plugin.settings.largeFileRules = value;
+              await this.plugin.saveSettings();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("Exclude Tags")
+        .setDesc(
+          "Leave out notes with any of these comma separated tags. Notes with backup: false in their frontmatter are always left out.",
+        )
+        .addText((text) =>
+          text
+            .setPlaceholder("#private")
+            .setValue(this.plugin.settings.excludeTags)
+            .onChange(async (value) => {
+              this.plugin.settings.excludeTags = value;
+              this.plugin.needsFullRescan = true;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Redact Frontmatter Keys")
+        .setDesc(
+          "Remove these comma separated frontmatter keys from the backed up copy of each note",
+        )
+        .addText((text) =>
+          text
+            .setValue(this.plugin.settings.redactFrontmatterKeys)
+            .onChange(async (value) => {
+              this.plugin.settings.redactFrontmatterKeys = value;
+              this.plugin.needsFullRescan = true;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Encrypt Backups")
+        .setDesc(
+          "Encrypt file contents with the passphrase from local settings before they're committed. File names and folders stay readable. Keep this on to restore encrypted backups.",
+        )
+        .addToggle((toggle) =>
+          toggle
+            .setValue(this.plugin.settings.encryptBackups)
+            .onChange(async (value) => {
+              this.plugin.settings.encryptBackups = value;
+              this.plugin.encryptionKey = null;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("When Backups Diverge")
+        .setDesc(
+          "What to do when another device has pushed to the same branch since the last backup. Merging brings the other device's changes into this vault, and stops with an alert when both devices changed the same part of a file.",
+        )
+        .addDropdown((dropdown) =>
+          dropdown
+            .addOptions(DIVERGENCE_STRATEGIES)
+            .setValue(this.plugin.settings.divergenceStrategy)
+            .onChange(async (value) => {
+              this.plugin.settings.divergenceStrategy = value;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl).setName("Schedule").addDropdown((dropdown) =>
+        dropdown
+          .addOptions(SCHEDULE_MODES)
+          .setValue(this.plugin.settings.scheduleMode)
+          .onChange(async (value) => {
+            this.plugin.settings.scheduleMode = value;
+            await this.plugin.saveSettings();
+            this.plugin.reschedule();
+          }),
+      );
+
+      new Setting(containerEl).setName("Sync Interval").addText((text) =>
+        text
+          .setValue(`${this.plugin.settings.syncInterval}`)
+          .onChange(async (value) => {
+            const interval = parseInt(value);
+            if (interval) {
+              this.plugin.settings.syncInterval = interval;
+              await this.plugin.saveSettings();
+              this.plugin.reschedule();
+            }
+          }),
+      );
+
+      new Setting(containerEl)
+        .setName("Idle Delay")
+        .setDesc("Seconds after the last edit before an idle backup runs")
+        .addText((text) =>
+          text
+            .setValue(`${this.plugin.settings.idleDelay}`)
+            .onChange(async (value) => {
+              const delay = parseInt(value);
+              if (delay) {
+                this.plugin.settings.idleDelay = delay;
+                await this.plugin.saveSettings();
+                this.plugin.reschedule();
+              }
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Backup Time Windows")
+        .setDesc(
+          "Times the time windows schedule backs up in, e.g. 09:00-18:00, 21:00-23:00. Leave empty to allow any time.",
+        )
+        .addText((text) =>
+          text
+            .setPlaceholder("Any time")
+            .setValue(this.plugin.settings.scheduleWindows)
+            .onChange(async (value) => {
+              this.plugin.settings.scheduleWindows = value;
+              await this.plugin.saveSettings();
+              this.plugin.reschedule();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Back Up On Quit")
+        .setDesc("Run a final backup when Obsidian is closing")
+        .addToggle((toggle) =>
+          toggle
+            .setValue(this.plugin.settings.backupOnQuit)
+            .onChange(async (value) => {
+              this.plugin.settings.backupOnQuit = value;
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Status Bar Refresh Interval")
+        .addText((text) =>
+          text
+            .setValue(`${this.plugin.settings.statusBarRefreshInterval}`)
+            .onChange(async (value) => {
+              const interval = parseInt(value);
+              if (interval) {
+                this.plugin.settings.statusBarRefreshInterval = interval;
+                await this.plugin.saveSettings();
+              }
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Alert After Failures")
+        .setDesc("Warn after this many backups in a row fail, 0 to disable")
+        .addText((text) =>
+          text
+            .setValue(`${this.plugin.settings.alertAfterFailures}`)
+            .onChange(async (value) => {
+              const count = parseInt(value);
+              if (!isNaN(count)) {
+                this.plugin.settings.alertAfterFailures = count;
+                await this.plugin.saveSettings();
+              }
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("Alert Max Backup Age")
+        .setDesc(
+          "Warn when the last successful backup is older than this many seconds, 0 to disable",
+        )
+        .addText((text) =>
+          text
+            .setValue(`${this.plugin.settings.alertMaxBackupAge}`)
+            .onChange(async (value) => {
+              const age = parseInt(value);
+              if (!isNaN(age)) {
+                this.plugin.settings.alertMaxBackupAge = age;
+                await this.plugin.saveSettings();
+              }
+            }),
+        );
+
+      new Setting(containerEl).setName("Local Settings").setHeading();
+
+      new Setting(containerEl).setName("Enabled").addToggle((toggle) => {
+        toggle
+          .setValue(this.plugin.settings.enabled)
+          .onChange(async (value) => {
+            this.plugin.settings.enabled = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+      new Setting(containerEl)
+        .setName("Pause Backups")
+        .setDesc("Skip scheduled backups on this device")
+        .addToggle((toggle) => {
+          toggle
+            .setValue(this.plugin.settings.backupsPaused)
+            .onChange(async (value) => {
+              this.plugin.settings.backupsPaused = value;
+              await this.plugin.saveSettings();
+              this.plugin.renderStatusBarIcon();
+            });
+        });
+
+      new Setting(containerEl).setName("Git Bin Path").addText((text) =>
+        text
+          .setValue(this.plugin.settings.gitBinPath)
+          .onChange(async (value) => {
+            this.plugin.settings.gitBinPath = value;
+            await this.plugin.saveSettings();
+          }),
+      );
+
+      new Setting(containerEl).setName("Git Dir").addText((text) => {
+        text.setValue(this.plugin.settings.gitDir).onChange(async (value) => {
+          this.plugin.settings.gitDir = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+      new Setting(containerEl)
+        .setName("Local Only")
+        .setDesc(
+          "Commit backups to Git Dir without fetching or pushing to the remote. Use Export backup bundle to move them to another machine.",
+        )
+        .addToggle((toggle) => {
+          toggle
+            .setValue(this.plugin.settings.localOnly)
+            .onChange(async (value) => {
+              this.plugin.settings.localOnly = value;
+              await this.plugin.saveSettings();
+              this.plugin.enqueueUpdateStatusBar();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("Inherit Shell Environment")
+        .setDesc(
+          "Run git with your login shell's environment, for PATH, HOME, SSH_AUTH_SOCK and credential helpers",
+        )
+        .addToggle((toggle) => {
+          toggle
+            .setValue(this.plugin.settings.inheritShellEnv)
+            .onChange(async (value) => {
+              this.plugin.settings.inheritShellEnv = value;
+              await this.plugin.saveSettings();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("SSH Key")
+        .setDesc("Private key for SSH remotes")
+        .addText((text) =>
+          text
+            .setPlaceholder("~/.ssh/id_ed25519")
+            .setValue(this.plugin.settings.sshKeyPath)
+            .onChange(async (value) => {
+              this.plugin.settings.sshKeyPath = value.trim();
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("SSH Command")
+        .setDesc("Used as GIT_SSH_COMMAND instead of SSH Key")
+        .addText((text) =>
+          text
+            .setPlaceholder("ssh -i ~/.ssh/backup -p 2222")
+            .setValue(this.plugin.settings.sshCommand)
+            .onChange(async (value) => {
+              this.plugin.settings.sshCommand = value.trim();
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("HTTPS Username")
+        .setDesc("Username to send with the HTTPS Token")
+        .addText((text) =>
+          text
+            .setPlaceholder(DEFAULT_HTTPS_USERNAME)
+            .setValue(this.plugin.settings.httpsUsername)
+            .onChange(async (value) => {
+              this.plugin.settings.httpsUsername = value.trim();
+              await this.plugin.saveSettings();
+            }),
+        );
+
+      new Setting(containerEl)
+        .setName("HTTPS Token")
+        .setDesc(
+          "Access token for HTTPS remotes, handed to git by a temporary askpass helper",
+        )
+        .addText((text) => {
+          text.inputEl.type = "password";
+          text
+            .setValue(this.plugin.settings.httpsToken)
+            .onChange(async (value) => {
+              this.plugin.settings.httpsToken = value.trim();
+              await this.plugin.saveSettings();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName("Encryption Passphrase")
+        .setDesc(
+          "Used when Encrypt Backups is on. Use the same passphrase on every device, backups can't be restored without it.",
+        )
+        .addText((text) => {
+          text.inputEl.type = "password";
+          text
+            .setValue(this.plugin.settings.encryptionPassphrase)
+            .onChange(async (value) => {
+              this.plugin.settings.encryptionPassphrase = value;
+              await this.plugin.saveSettings();
+            });
+        });
+    }
+  }
+
+  class GitBackupHistoryView extends ItemView {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {string | null} */
+    filePath = null;
+
+    /**
+     * @param {obsidian.WorkspaceLeaf} leaf
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(leaf, plugin) {
+      super(leaf);
+      this.plugin = plugin;
+    }
+
+    getViewType() {
+      return VIEW_TYPE_HISTORY;
+    }
+
+    getDisplayText() {
+      if (this.filePath) {
+        return `Backup history: ${path.posix.basename(this.filePath)}`;
+      }
+      return "Backup history";
+    }
+
+    getIcon() {
+      return "history";
+    }
+
+    getState() {
+      return { ...super.getState(), file: this.filePath };
+    }
+
+    /**
+     * @param {any} state
+     * @param {obsidian.ViewStateResult} result
+     * @returns {Promise<void>}
+     */
+    async setState(state, result) {
+      this.filePath = typeof state?.file === "string" ? state.file : null;
+      await super.setState(state, result);
+      await this.render();
+    }
+
+    async onOpen() {
+      await this.render();
+    }
+
+    /**
+     * Render the list of commits that touched the current file.
+     * @returns {Promise<void>}
+     */
+    async render() {
+      const { contentEl } = this;
+      const filePath = this.filePath;
+      contentEl.empty();
+
+      if (!filePath) {
+        contentEl.createEl("p", { text: "No file selected." });
+        return;
+      }
+
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      contentEl.createEl("h4", { text: filePath });
+
+      /** @type {GitLogEntry[]} */
+      let entries;
+      try {
+        entries = await this.plugin.enqueueGit(() =>
+          gitLogFile(gitBinPath, gitDir, filePath),
+        );
+      } catch (error) {
+        console.error(error);
+        contentEl.createEl("p", { text: `Failed to load history: ${error}` });
+        return;
+      }
+
+      if (entries.length === 0) {
+        contentEl.createEl("p", { text: "No backups of this file yet." });
+        return;
+      }
+
+      const listEl = contentEl.createDiv();
+      const previewEl = contentEl.createDiv();
+
+      for (const entry of entries) {
+        const itemEl = listEl.createDiv({ cls: "tree-item-self is-clickable" });
+        const textEl = itemEl.createDiv({ cls: "tree-item-inner" });
+        textEl.createDiv({
+          text: moment
+            .unix(entry.timestamp)
+            .format(DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT),
+        });
+        textEl.createDiv({
+          cls: "tree-item-inner-subtext",
+          text: entry.message,
+        });
+        itemEl.createDiv({
+          cls: "tree-item-flair-outer",
+          text: `+${entry.insertions} -${entry.deletions}`,
+        });
+        itemEl.addEventListener("click", () => {
+          this.renderPreview(previewEl, filePath, entry).catch((error) => {
+            console.error(error);
+            new Notice(`Git backup [error]: ${error}`);
+          });
+        });
+      }
+    }
+
+    /**
+     * Render the content of a file as of a given commit.
+     *
+     * @param {HTMLElement} previewEl
+     * @param {string} filePath
+     * @param {GitLogEntry} entry
+     * @returns {Promise<void>}
+     */
+    async renderPreview(previewEl, filePath, entry) {
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      const content = await this.plugin.enqueueGit(() =>
+        gitShowFile(gitBinPath, gitDir, entry.commitSha, filePath),
+      );
+
+      previewEl.empty();
+      new Setting(previewEl)
+        .setName(entry.commitSha.slice(0, 7))
+        .setDesc(entry.message)
+        .addButton((button) =>
+          button
+            .setButtonText("Restore")
+            .setCta()
+            .onClick(async () => {
+              try {
+                await this.plugin.restoreFromBackup(entry.commitSha, filePath);
+                new Notice(
+                  `Restored ${filePath} from ${entry.commitSha.slice(0, 7)}`,
+                );
+              } catch (error) {
+                console.error(error);
+                new Notice(`Git backup [error]: ${error}`);
+              }
+            }),
+        );
+      if (content.includes("\0")) {
+        previewEl.createEl("p", { text: "Binary file, restore it to view." });
+      } else {
+        previewEl.createEl("pre", { text: content });
+      }
+    }
+  }
+
+  /**
+   * @typedef {{ path: string, files: GitDeletedFile[] }} DeletedItem
+   */
+
+  /**
+   * @extends {FuzzySuggestModal<DeletedItem>}
+   */
+  class GitBackupDeletedFilesModal extends FuzzySuggestModal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {DeletedItem[]} */
+    items;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {DeletedItem[]} items
+     */
+    constructor(plugin, items) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.items = items;
+      this.setPlaceholder("Search deleted notes and folders...");
+    }
+
+    getItems() {
+      return this.items;
+    }
+
+    /**
+     * @param {DeletedItem} item
+     * @returns {string}
+     */
+    getItemText(item) {
+      return item.path;
+    }
+
+    /**
+     * @param {obsidian.FuzzyMatch<DeletedItem>} match
+     * @param {HTMLElement} el
+     */
+    renderSuggestion(match, el) {
+      super.renderSuggestion(match, el);
+      const { files } = match.item;
+      const subtext =
+        files.length === 1
+          ? `Deleted ${moment.unix(files[0].timestamp).fromNow()} in ${files[0].commitSha.slice(0, 7)}`
+          : `${files.length} deleted files`;
+      el.createEl("small", { cls: "suggestion-note", text: subtext });
+    }
+
+    /**
+     * @param {DeletedItem} item
+     */
+    onChooseItem(item) {
+      this.restore(item).catch((error) => {
+        console.error(error);
+        new Notice(`Git backup [error]: ${error}`);
+      });
+    }
+
+    /**
+     * @param {DeletedItem} item
+     * @returns {Promise<void>}
+     */
+    async restore(item) {
+      for (const file of item.files) {
+        await this.plugin.restoreFromBackup(`${file.commitSha}^`, file.path);
+      }
+      new Notice(`Git backup: Restored ${item.files.length} files`);
+    }
+  }
+
+  /**
+   * @extends {FuzzySuggestModal<GitRevision>}
+   */
+  class GitBackupRevisionModal extends FuzzySuggestModal {
+    /** @type {GitRevision[]} */
+    revisions;
+
+    /** @type {(revision: GitRevision) => void} */
+    onChoose;
+
+    /**
+     * @param {obsidian.App} app
+     * @param {GitRevision[]} revisions
+     * @param {(revision: GitRevision) => void} onChoose
+     */
+    constructor(app, revisions, onChoose) {
+      super(app);
+      this.revisions = revisions;
+      this.onChoose = onChoose;
+      this.setPlaceholder("Pick a backup to restore...");
+    }
+
+    getItems() {
+      return this.revisions;
+    }
+
+    /**
+     * @param {GitRevision} revision
+     * @returns {string}
+     */
+    getItemText(revision) {
+      return `${revision.label} ${revision.message}`;
+    }
+
+    /**
+     * @param {obsidian.FuzzyMatch<GitRevision>} match
+     * @param {HTMLElement} el
+     */
+    renderSuggestion(match, el) {
+      super.renderSuggestion(match, el);
+      el.createEl("small", {
+        cls: "suggestion-note",
+        text: moment
+          .unix(match.item.timestamp)
+          .format(DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT),
+      });
+    }
+
+    /**
+     * @param {GitRevision} revision
+     */
+    onChooseItem(revision) {
+      this.onChoose(revision);
+    }
+  }
+
+  class GitBackupRestoreVaultModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {GitRevision} */
+    revision;
+
+    /** @type {boolean} */
+    includeConfigDir = false;
+
+    /** @type {"vault" | "folder"} */
+    target = "vault";
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {GitRevision} revision
+     */
+    constructor(plugin, revision) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.revision = revision;
+    }
+
+    onOpen() {
+      this.titleEl.setText(`Restore vault from ${this.revision.label}`);
+      this.render().catch((error) => {
+        console.error(error);
+        this.contentEl.setText(`Failed to preview restore: ${error}`);
+      });
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    /**
+     * Pathspec limiting the restore, excluding the config dir unless asked.
+     * @returns {string[]}
+     */
+    get pathspec() {
+      if (this.includeConfigDir) return ["."];
+      return [".", `:(exclude)${this.app.vault.configDir}`];
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async render() {
+      const { contentEl } = this;
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      const { configDir } = this.app.vault;
+      contentEl.empty();
+
+      new Setting(contentEl)
+        .setName(`Restore ${configDir}`)
+        .setDesc("Also overwrite settings, themes and plugins")
+        .addToggle((toggle) =>
+          toggle.setValue(this.includeConfigDir).onChange((value) => {
+            this.includeConfigDir = value;
+            this.render();
+          }),
+        );
+
+      new Setting(contentEl).setName("Restore into").addDropdown((dropdown) =>
+        dropdown
+          .addOption("vault", "This vault")
+          .addOption("folder", "New folder next to this vault")
+          .setValue(this.target)
+          .onChange((value) => {
+            this.target = value === "folder" ? "folder" : "vault";
+            this.render();
+          }),
+      );
+
+      const previewEl = contentEl.createDiv();
+      let overwriting = false;
+
+      if (this.target === "vault") {
+        const preview = await this.plugin.enqueueGit(() =>
+          gitCheckoutPreview(
+            gitBinPath,
+            gitDir,
+            this.plugin.gitWorkTree,
+            this.revision.rev,
+            this.pathspec,
+          ),
+        );
+        overwriting = preview.overwritten.length > 0;
+        previewEl.createEl("p", {
+          text: `${preview.overwritten.length} files will be overwritten, ${preview.created.length} files will be created. Files not in the backup are left untouched.`,
+        });
+        const listEl = previewEl.createEl("ul");
+        for (const filePath of preview.overwritten.slice(0, 50)) {
+          listEl.createEl("li", { text: filePath });
+        }
+        if (preview.overwritten.length > 50) {
+          listEl.createEl("li", {
+            text: `and ${preview.overwritten.length - 50} more`,
+          });
+        }
+      } else {
+        previewEl.createEl("p", {
+          text: `Files will be checked out into ${this.restoreFolderPath}`,
+        });
+      }
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) => {
+          button.setButtonText("Restore").onClick(() => {
+            this.close();
+            this.restore().catch((error) => {
+              console.error(error);
+              new Notice(`Git backup [error]: ${error}`);
+            });
+          });
+          if (overwriting) {
+            button.setWarning();
+          } else {
+            button.setCta();
+          }
+        });
+    }
+
+    /**
+     * Path of a fresh sibling folder for restoring outside the vault.
+     * @returns {string}
+     */
+    get restoreFolderPath() {
+      const vaultPath = this.plugin.gitWorkTree;
+      const timestamp = moment
+        .unix(this.revision.timestamp)
+        .format("YYYY-MM-DD HHmmss");
+      return path.join(
+        path.dirname(vaultPath),
+        `${path.basename(vaultPath)} (restored ${timestamp})`,
+      );
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async restore() {
+      const { gitBinPath, gitDir } = this.plugin.settings;
+
+      let workTree = this.plugin.gitWorkTree;
+      if (this.target === "folder") {
+        workTree = this.restoreFolderPath;
+        await fs.promises.mkdir(workTree, { recursive: true });
+      }
+
+      await this.plugin.enqueueGit(() =>
+        gitCheckoutTree(
+          gitBinPath,
+          gitDir,
+          workTree,
+          this.revision.rev,
+          this.pathspec,
+        ),
+      );
+      new Notice(
+        `Git backup: Restored ${this.revision.label} into ${workTree}`,
+      );
+      this.plugin.enqueueUpdateStatusBar();
+    }
+  }
+
+  class GitBackupLogView extends ItemView {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {string} */
+    statusFilter = "";
+
+    /**
+     * @param {obsidian.WorkspaceLeaf} leaf
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(leaf, plugin) {
+      super(leaf);
+      this.plugin = plugin;
+    }
+
+    getViewType() {
+      return VIEW_TYPE_LOG;
+    }
+
+    getDisplayText() {
+      return "Backup log";
+    }
+
+    getIcon() {
+      return "scroll-text";
+    }
+
+    async onOpen() {
+      this.render();
+    }
+
+    /**
+     * Render logged runs, newest first.
+     */
+    render() {
+      const { contentEl } = this;
+      const { activityLog } = this.plugin;
+      contentEl.empty();
+
+      const lastSuccess = this.plugin.getLastSuccessfulBackup();
+      contentEl.createEl("p", {
+        text: lastSuccess
+          ? `Last successful backup ${moment(lastSuccess.startedAt).fromNow()}`
+          : "No successful backups logged yet",
+      });
+
+      new Setting(contentEl).setName("Status").addDropdown((dropdown) =>
+        dropdown
+          .addOption("", "All")
+          .addOptions(ACTIVITY_STATUS_LABELS)
+          .setValue(this.statusFilter)
+          .onChange((value) => {
+            this.statusFilter = value;
+            this.render();
+          }),
+      );
+
+      const entries = activityLog
+        .filter(
+          (entry) => !this.statusFilter || entry.status === this.statusFilter,
+        )
+        .reverse();
+
+      if (entries.length === 0) {
+        contentEl.createEl("p", { text: "No backups logged." });
+        return;
+      }
+
+      for (const entry of entries) {
+        const itemEl = contentEl.createDiv({ cls: "tree-item-self" });
+        const textEl = itemEl.createDiv({ cls: "tree-item-inner" });
+        textEl.createDiv({
+          text: `${moment(entry.startedAt).format(
+            DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT,
+          )} (${entry.trigger}, ${entry.duration}ms)`,
+        });
+
+        const details = [];
+        if (entry.filesChanged > 0) {
+          details.push(`${entry.filesChanged} files`);
+        }
+        if (entry.commitSha) {
+          details.push(entry.commitSha.slice(0, 7));
+        }
+        if (entry.pushResult) {
+          details.push(entry.pushResult);
+        }
+        if (entry.skipped?.length) {
+          details.push(`Skipped ${listPaths(entry.skipped)}`);
+        }
+        if (entry.warned?.length) {
+          details.push(`Flagged ${listPaths(entry.warned)}`);
+        }
+        for (const destination of entry.destinations ?? []) {
+          details.push(
+            destination.error
+              ? `${destination.name} failed: ${destination.error}`
+              : `Pushed to ${destination.name}`,
+          );
+        }
+        if (entry.error) {
+          details.push(entry.error);
+        }
+        textEl.createDiv({
+          cls: "tree-item-inner-subtext",
+          text: details.join(" · "),
+        });
+
+        itemEl.createDiv({
+          cls: "tree-item-flair-outer",
+          text: ACTIVITY_STATUS_LABELS[entry.status] ?? entry.status,
+        });
+      }
+    }
+  }
+
+  class GitBackupDestinationModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {number | null} */
+    index;
+
+    /** @type {() => void} */
+    onSave;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {number | null} index destination to edit, or null to add one
+     * @param {() => void} onSave
+     */
+    constructor(plugin, index, onSave) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.index = index;
+      this.onSave = onSave;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      const { destinations } = this.plugin.settings;
+      this.titleEl.setText(
+        this.index === null
+          ? "Add backup destination"
+          : "Edit backup destination",
+      );
+
+      /** @type {BackupDestination} */
+      const destination =
+        this.index === null
+          ? { name: "", url: "", branch: "", enabled: true }
+          : { ...destinations[this.index] };
+
+      new Setting(contentEl).setName("Name").addText((text) =>
+        text
+          .setPlaceholder("External drive")
+          .setValue(destination.name)
+          .onChange((value) => {
+            destination.name = value;
+          }),
+      );
+
+      new Setting(contentEl)
+        .setName("URL")
+        .setDesc("Git remote URL or absolute path to a bare repository")
+        .addText((text) =>
+          text.setValue(destination.url).onChange((value) => {
+            destination.url = value.trim();
+          }),
+        );
+
+      new Setting(contentEl).setName("Branch").addText((text) =>
+        text
+          .setPlaceholder(this.plugin.settings.gitBranchName)
+          .setValue(destination.branch)
+          .onChange((value) => {
+            destination.branch = value.trim();
+          }),
+      );
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button
+            .setButtonText("Save")
+            .setCta()
+            .onClick(async () => {
+              if (!destination.url) return;
+              const updated = [...this.plugin.settings.destinations];
+              if (this.index === null) {
+                updated.push(destination);
+              } else {
+                updated[this.index] = destination;
+              }
+              this.plugin.settings.destinations = updated;
+              await this.plugin.saveSettings();
+              this.close();
+              this.onSave();
+            }),
+        );
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+  }
+
+  class GitBackupSnapshotModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(plugin) {
+      super(plugin.app);
+      this.plugin = plugin;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      this.titleEl.setText("Create named snapshot");
+
+      let label = "";
+      const create = () => {
+        if (!label.trim()) return;
+        this.close();
+        this.plugin.createSnapshot(label.trim());
+      };
+
+      new Setting(contentEl).setName("Label").addText((text) => {
+        text
+          .setPlaceholder("Before reorganizing projects")
+          .onChange((value) => {
+            label = value;
+          });
+        text.inputEl.addEventListener("keydown", (event) => {
+          if (event.key === "Enter") create();
+        });
+      });
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button.setButtonText("Create").setCta().onClick(create),
+        );
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+  }
+
+  class GitBackupSetupModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {string} */
+    url;
+
+    /** @type {string} */
+    branch;
+
+    /** @type {boolean} */
+    localOnly;
+
+    /** @type {boolean} */
+    reclone = false;
+
+    /** @type {string | null} */
+    gitVersion = null;
+
+    /**
+     * Origin of the existing repository, null if it has none and undefined
+     * if there's no repository yet.
+     * @type {string | null | undefined}
+     */
+    repositoryURL = undefined;
+
+    /** @type {GitRemoteInfo | null} */
+    remote = null;
+
+    /** @type {string | null} */
+    remoteError = null;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(plugin) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.url = plugin.settings.gitRemoteURL;
+      this.branch = plugin.settings.gitBranchName;
+      this.localOnly = plugin.settings.localOnly;
+    }
+
+    onOpen() {
+      this.titleEl.setText("Set up backup repository");
+      this.refresh();
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    refresh() {
+      this.load()
+        .then(() => this.render())
+        .catch((error) => {
+          console.error(error);
+          this.contentEl.setText(`Failed to check setup: ${error}`);
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async load() {
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      this.gitVersion = gitBinPath
+        ? await gitVersion(gitBinPath).catch(() => null)
+        : null;
+      this.repositoryURL =
+        this.gitVersion && gitDir && (await exists(gitDir))
+          ? await this.plugin.enqueueGit(() => gitGetRemote(gitBinPath, gitDir))
+          : undefined;
+    }
+
+    render() {
+      const { contentEl } = this;
+      const { settings } = this.plugin;
+      contentEl.empty();
+
+      new Setting(contentEl).setName("Git").setHeading();
+
+      new Setting(contentEl)
+        .setName("Git Bin Path")
+        .setDesc(this.gitVersion ?? "Git wasn't found at this path")
+        .addText((text) => {
+          text.setValue(settings.gitBinPath).onChange(async (value) => {
+            settings.gitBinPath = value.trim();
+            await this.plugin.saveSettings();
+          });
+          text.inputEl.addEventListener("blur", () => this.refresh());
+        })
+        .addButton((button) =>
+          button.setButtonText("Detect").onClick(async () => {
+            const found = await detectGit().catch(() => null);
+            if (!found) {
+              new Notice("Git backup: git wasn't found on the shell's PATH");
+              return;
+            }
+            settings.gitBinPath = found;
+            await this.plugin.saveSettings();
+            this.refresh();
+          }),
+        );
+
+      new Setting(contentEl).setName("Remote").setHeading();
+
+      new Setting(contentEl)
+        .setName("Local Only")
+        .setDesc("Keep backups on this device without a remote")
+        .addToggle((toggle) =>
+          toggle.setValue(this.localOnly).onChange((value) => {
+            this.localOnly = value;
+            this.render();
+          }),
+        );
+
+      if (!this.localOnly) {
+        const remoteSetting = new Setting(contentEl)
+          .setName("Git Remote URL")
+          .setDesc(this.describeRemote())
+          .addText((text) =>
+            text
+              .setPlaceholder("git@github.com:me/vault-backup.git")
+              .setValue(this.url)
+              .onChange((value) => {
+                this.url = value.trim();
+                this.remote = null;
+                this.remoteError = null;
+                remoteSetting.setDesc(this.describeRemote());
+              }),
+          )
+          .addButton((button) =>
+            button.setButtonText("Check").onClick(() => {
+              this.checkRemote();
+            }),
+          );
+
+        new Setting(contentEl).setName("Git Branch").addText((text) =>
+          text.setValue(this.branch).onChange((value) => {
+            this.branch = value.trim();
+            remoteSetting.setDesc(this.describeRemote());
+          }),
+        );
+      }
+
+      new Setting(contentEl).setName("Repository").setHeading();
+
+      const { gitDir } = settings;
+      const switching =
+        !this.localOnly &&
+        this.repositoryURL !== undefined &&
+        this.repositoryURL !== this.url;
+      if (this.repositoryURL === undefined) {
+        new Setting(contentEl)
+          .setName("Git Dir")
+          .setDesc(`${gitDir} will be created`);
+      } else if (!switching) {
+        new Setting(contentEl)
+          .setName("Git Dir")
+          .setDesc(`${gitDir} is already set up`);
+      } else {
+        new Setting(contentEl)
+          .setName("Git Dir")
+          .setDesc(
+            `${gitDir} ${this.repositoryURL ? `pushes to ${this.repositoryURL}` : "has no remote"}. ` +
+              "Its backups will be pushed to the new remote on the next backup.",
+          );
+        new Setting(contentEl)
+          .setName("Re-clone")
+          .setDesc(
+            "Replace the repository with a clone of the new remote once the clone has succeeded. Its whole history is dropped, including backups that were never pushed to the new remote.",
+          )
+          .addToggle((toggle) =>
+            toggle.setValue(this.reclone).onChange((value) => {
+              this.reclone = value;
+            }),
+          );
+      }
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button
+            .setButtonText("Set Up")
+            .setCta()
+            .setDisabled(!this.gitVersion)
+            .onClick(() => {
+              this.close();
+              this.plugin
+                .setupRepository({
+                  url: this.url,
+                  branch: this.branch,
+                  localOnly: this.localOnly,
+                  reclone: switching && this.reclone,
+                })
+                .then(() => {
+                  new Notice("Git backup: Backup repository is set up");
+                })
+                .catch((error) => {
+                  console.error(error);
+                  new Notice(`Git backup [error]: ${error}`);
+                });
+            }),
+        );
+    }
+
+    /**
+     * @returns {string}
+     */
+    describeRemote() {
+      if (this.remoteError) {
+        return `Can't reach the remote: ${this.remoteError}`;
+      }
+      if (!this.remote) {
+        return "Check that the remote is reachable before setting up";
+      }
+      if (this.remote.branches.length === 0) {
+        return "Empty repository, the backup branch will be created with a first push";
+      }
+      if (this.remote.branches.includes(this.branch)) {
+        return `Existing backups on ${this.branch} will be cloned`;
+      }
+      return `No ${this.branch} branch (the default is ${this.remote.defaultBranch ?? "unknown"}), it will be created with a first push`;
+    }
+
+    checkRemote() {
+      const { gitBinPath } = this.plugin.settings;
+      if (!this.url || !gitBinPath) return;
+      gitLsRemote(gitBinPath, this.url)
+        .then((remote) => {
+          this.remote = remote;
+          this.remoteError = null;
+        })
+        .catch((error) => {
+          console.error(error);
+          this.remote = null;
+          this.remoteError =
+            error instanceof Error ? error.message : `${error}`;
+        })
+        .finally(() => this.render());
+    }
+  }
+
+  class GitBackupDoctorModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(plugin) {
+      super(plugin.app);
+      this.plugin = plugin;
+    }
+
+    onOpen() {
+      this.titleEl.setText("Backup health");
+      this.check();
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    check() {
+      this.contentEl.setText("Checking...");
+      this.plugin
+        .checkHealth()
+        .then((checks) => this.render(checks))
+        .catch((error) => {
+          console.error(error);
+          this.contentEl.setText(`Failed to check backup health: ${error}`);
+        });
+    }
+
+    /**
+     * @param {HealthCheck[]} checks
+     */
+    render(checks) {
+      const { contentEl } = this;
+      contentEl.empty();
+
+      for (const check of checks) {
+        const setting = new Setting(contentEl)
+          .setName(check.name)
+          .setDesc(check.detail);
+        const iconEl = setting.nameEl.createSpan();
+        obsidian.setIcon(iconEl, HEALTH_STATUS_ICONS[check.status]);
+        iconEl.setCssStyles({
+          color: `var(--text-${check.status === "ok" ? "success" : check.status})`,
+          marginInlineStart: "var(--size-4-2)",
+          verticalAlign: "middle",
+        });
+        if (check.output) {
+          setting.descEl.createEl("pre", { text: check.output });
+        }
+
+        const { fix } = check;
+        if (fix) {
+          setting.addButton((button) =>
+            button
+              .setButtonText(fix.label)
+              .setCta()
+              .onClick(() => {
+                button.setDisabled(true);
+                fix
+                  .run()
+                  .catch((error) => {
+                    console.error(error);
+                    new Notice(`Git backup [error]: ${error}`);
+                  })
+                  .finally(() => this.check());
+              }),
+          );
+        }
+      }
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Copy Report").onClick(() => {
+            navigator.clipboard
+              .writeText(formatHealthReport(checks))
+              .then(() => new Notice("Git backup: Copied health report"))
+              .catch((error) => {
+                console.error(error);
+                new Notice(`Git backup [error]: ${error}`);
+              });
+          }),
+        )
+        .addButton((button) =>
+          button.setButtonText("Check Again").onClick(() => this.check()),
+        );
+    }
+  }
+
+  class GitBackupExportBundleModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {GitRevision[]} */
+    tags;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {GitRevision[]} tags
+     */
+    constructor(plugin, tags) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.tags = tags;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      this.titleEl.setText("Export backup bundle");
+
+      let dir = os.homedir();
+      /** @type {string | null} */
+      let since = null;
+
+      new Setting(contentEl)
+        .setName("Directory")
+        .setDesc("Folder to write the bundle file to, like a USB drive")
+        .addText((text) =>
+          text.setValue(dir).onChange((value) => {
+            dir = value.trim();
+          }),
+        );
+
+      new Setting(contentEl)
+        .setName("Include")
+        .setDesc(
+          "Only what was backed up after a tag is smaller, but can only be imported where that tag exists",
+        )
+        .addDropdown((dropdown) => {
+          dropdown.addOption("", "Full history");
+          for (const tag of this.tags) {
+            dropdown.addOption(tag.label, `Since ${tag.label}`);
+          }
+          dropdown.onChange((value) => {
+            since = value || null;
+          });
+        });
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button
+            .setButtonText("Export")
+            .setCta()
+            .onClick(() => {
+              if (!dir) return;
+              this.close();
+              this.plugin
+                .exportBundle(dir, since)
+                .then((bundlePath) => {
+                  new Notice(
+                    bundlePath
+                      ? `Git backup: Exported ${bundlePath}`
+                      : since
+                        ? `Git backup: Nothing was backed up after ${since}`
+                        : "Git backup: Nothing to export",
+                  );
+                })
+                .catch((error) => {
+                  console.error(error);
+                  new Notice(`Git backup [error]: ${error}`);
+                });
+            }),
+        );
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+  }
+
+  class GitBackupImportBundleModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(plugin) {
+      super(plugin.app);
+      this.plugin = plugin;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      this.titleEl.setText("Restore vault from bundle");
+
+      let bundlePath = "";
+      const restore = () => {
+        if (!bundlePath) return;
+        this.close();
+        this.plugin.restoreFromBundle(bundlePath).catch((error) => {
+          console.error(error);
+          new Notice(`Git backup [error]: ${error}`);
+        });
+      };
+
+      new Setting(contentEl)
+        .setName("Bundle File")
+        .setDesc("A file written by Export backup bundle")
+        .addText((text) => {
+          text
+            .setPlaceholder(path.join(os.homedir(), "vault.bundle"))
+            .onChange((value) => {
+              bundlePath = value.trim();
+            });
+          text.inputEl.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") restore();
+          });
+        });
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button.setButtonText("Next").setCta().onClick(restore),
+        );
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+  }
+
+  class GitBackupSnapshotsView extends ItemView {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     * @param {obsidian.WorkspaceLeaf} leaf
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(leaf, plugin) {
+      super(leaf);
+      this.plugin = plugin;
+    }
+
+    getViewType() {
+      return VIEW_TYPE_SNAPSHOTS;
+    }
+
+    getDisplayText() {
+      return "Backup snapshots";
+    }
+
+    getIcon() {
+      return "camera";
+    }
+
+    async onOpen() {
+      this.addAction("plus", "Create snapshot", () => {
+        new GitBackupSnapshotModal(this.plugin).open();
+      });
+      this.addAction("refresh-cw", "Refresh", () => {
+        this.render();
+      });
+      await this.render();
+    }
+
+    /**
+     * Render all tags, newest first.
+     * @returns {Promise<void>}
+     */
+    async render() {
+      const { contentEl } = this;
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      contentEl.empty();
+
+      /** @type {GitRevision[]} */
+      let tags;
+      try {
+        tags = await this.plugin.enqueueGit(() =>
+          gitListTags(gitBinPath, gitDir),
+        );
+      } catch (error) {
+        console.error(error);
+        contentEl.createEl("p", { text: `Failed to load snapshots: ${error}` });
+        return;
+      }
+
+      if (tags.length === 0) {
+        contentEl.createEl("p", { text: "No snapshots yet." });
+        return;
+      }
+
+      for (const tag of tags) {
+        new Setting(contentEl)
+          .setName(tag.message || tag.label)
+          .setDesc(
+            `${moment
+              .unix(tag.timestamp)
+              .format(DEFAULT_COMMIT_MESSAGE_TIMESTAMP_FORMAT)} · ${tag.label}`,
+          )
+          .addExtraButton((button) =>
+            button
+              .setIcon("git-compare")
+              .setTooltip("Compare with vault")
+              .onClick(() => {
+                new GitBackupCompareModal(this.plugin, tag).open();
+              }),
+          )
+          .addExtraButton((button) =>
+            button
+              .setIcon("rotate-ccw")
+              .setTooltip("Restore")
+              .onClick(() => {
+                new GitBackupRestoreVaultModal(this.plugin, tag).open();
+              }),
+          );
+      }
+    }
+  }
+
+  class GitBackupCompareModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {GitRevision} */
+    revision;
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {GitRevision} revision
+     */
+    constructor(plugin, revision) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.revision = revision;
+    }
+
+    onOpen() {
+      this.titleEl.setText(`Changes since ${this.revision.label}`);
+      this.render().catch((error) => {
+        console.error(error);
+        this.contentEl.setText(`Failed to compare: ${error}`);
+      });
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async render() {
+      const { contentEl } = this;
+      const { gitBinPath, gitDir } = this.plugin.settings;
+
+      const changes = await this.plugin.enqueueGit(() =>
+        gitDiffChanges(
+          gitBinPath,
+          gitDir,
+          this.plugin.gitWorkTree,
+          this.plugin.getPrivateNotes(),
+          this.revision.rev,
+        ),
+      );
+      if (changes.length === 0) {
+        contentEl.createEl("p", { text: "The vault matches this snapshot." });
+        return;
+      }
+
+      contentEl.createEl("p", { text: `${changes.length} files changed` });
+      for (const change of changes) {
+        new Setting(contentEl)
+          .setName(
+            change.oldPath ? `${change.oldPath} → ${change.path}` : change.path,
+          )
+          .setDesc(
+            `${CHANGE_STATUS_LABELS[change.status] ?? change.status}, +${change.insertions} -${change.deletions}`,
+          );
+      }
+
+      new Setting(contentEl).addButton((button) =>
+        button
+          .setButtonText("Restore this snapshot")
+          .setWarning()
+          .onClick(() => {
+            this.close();
+            new GitBackupRestoreVaultModal(this.plugin, this.revision).open();
+          }),
+      );
+    }
+  }
+
+  class GitBackupPreviewModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {GitPreviewChange[]} */
+    changes;
+
+    /** @type {string[]} */
+    skipped;
+
+    /** @type {Set<string>} */
+    selected = new Set();
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {GitPreviewChange[]} changes
+     * @param {string[]} skipped
+     */
+    constructor(plugin, changes, skipped) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.changes = changes;
+      this.skipped = skipped;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      this.titleEl.setText("Preview backup");
+
+      if (this.changes.length === 0) {
+        contentEl.createEl("p", { text: "No changes to back up." });
+      } else {
+        const totalSize = this.changes.reduce((sum, c) => sum + c.size, 0);
+        contentEl.createEl("p", {
+          text: `${this.changes.length} files, ${formatBytes(totalSize)}`,
+        });
+      }
+      if (this.skipped.length > 0) {
+        contentEl.createEl("p", {
+          text: `Skipped by the large file policy: ${listPaths(this.skipped)}`,
+        });
+      }
+
+      const listEl = contentEl.createDiv();
+      for (const change of this.changes) {
+        new Setting(listEl)
+          .setName(
+            change.oldPath ? `${change.oldPath} → ${change.path}` : change.path,
+          )
+          .setDesc(
+            `${CHANGE_STATUS_LABELS[change.status] ?? change.status}, ${formatBytes(change.size)}`,
+          )
+          .addToggle((toggle) =>
+            toggle.setTooltip("Select to exclude").onChange((value) => {
+              if (value) {
+                this.selected.add(change.path);
+              } else {
+                this.selected.delete(change.path);
+              }
+            }),
+          );
+      }
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button.setButtonText("Exclude selected").onClick(() => {
+            this.excludeSelected().catch((error) => {
+              console.error(error);
+              new Notice(`Git backup [error]: ${error}`);
+            });
+          }),
+        )
+        .addButton((button) =>
+          button
+            .setButtonText("Back up now")
+            .setCta()
+            .setDisabled(this.changes.length === 0)
+            .onClick(() => {
+              this.close();
+              this.plugin.backupNow();
+            }),
+        );
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    /**
+     * Add the selected files to the ignore rules and preview again.
+     * @returns {Promise<void>}
+     */
+    async excludeSelected() {
+      if (this.selected.size === 0) return;
+
+      const { settings } = this.plugin;
+      const patterns = Array.from(this.selected).map(
+        (filePath) => `/${escapeGitIgnorePattern(filePath)}`,
+      );
+      settings.gitIgnore = [settings.gitIgnore.trimEnd(), ...patterns]
+        .filter((line) => line !== "")
+        .join("\n");
+      await this.plugin.saveSettings();
+
+      this.close();
+      await this.plugin.previewBackup();
+    }
+  }
+
+  class GitBackupExclusionsModal extends Modal {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /** @type {() => void} */
+    onSave;
+
+    /** @type {string[]} */
+    patterns = [];
+
+    /** @type {Map<string, Promise<{ files: number; bytes: number; }>>} */
+    matches = new Map();
+
+    /**
+     * @param {GitBackupPlugin} plugin
+     * @param {() => void} onSave
+     */
+    constructor(plugin, onSave) {
+      super(plugin.app);
+      this.plugin = plugin;
+      this.onSave = onSave;
+    }
+
+    onOpen() {
+      this.titleEl.setText("Backup exclusions");
+      this.patterns = this.plugin.settings.gitIgnore
+        .split("\n")
+        .filter((line) => line.trim() !== "");
+      this.render();
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+
+    render() {
+      const { contentEl } = this;
+      contentEl.empty();
+
+      if (this.patterns.length === 0) {
+        contentEl.createEl("p", { text: "Nothing is excluded." });
+      }
+
+      this.patterns.forEach((pattern, index) => {
+        const setting = new Setting(contentEl)
+          .setName(pattern)
+          .addExtraButton((button) =>
+            button
+              .setIcon("trash")
+              .setTooltip("Remove")
+              .onClick(() => {
+                this.patterns.splice(index, 1);
+                this.render();
+              }),
+          );
+
+        if (pattern.startsWith("#")) {
+          setting.setDesc("Comment");
+        } else if (pattern.startsWith("!")) {
+          setting.setDesc("Includes matching files again");
+        } else {
+          setting.setDesc("Counting…");
+          this.countMatches(pattern)
+            .then(({ files, bytes }) => {
+              setting.setDesc(`${files} files, ${formatBytes(bytes)}`);
+            })
+            .catch((error) => {
+              console.error(error);
+              setting.setDesc(`Failed to count matches: ${error}`);
+            });
+        }
+      });
+
+      let newPattern = "";
+      new Setting(contentEl)
+        .setName("Add pattern")
+        .setDesc("Gitignore syntax, e.g. /Attachments/ or *.mp4")
+        .addText((text) =>
+          text.onChange((value) => {
+            newPattern = value.trim();
+          }),
+        )
+        .addButton((button) =>
+          button.setButtonText("Add").onClick(() => {
+            if (!newPattern) return;
+            this.patterns.push(newPattern);
+            this.render();
+          }),
+        );
+
+      new Setting(contentEl)
+        .addButton((button) =>
+          button.setButtonText("Cancel").onClick(() => this.close()),
+        )
+        .addButton((button) =>
+          button
+            .setButtonText("Save")
+            .setCta()
+            .onClick(() => {
+              this.save().catch((error) => {
+                console.error(error);
+                new Notice(`Git backup [error]: ${error}`);
+              });
+            }),
+        );
+    }
+
+    /**
+     * @param {string} pattern
+     * @returns {Promise<{ files: number; bytes: number; }>}
+     */
+    countMatches(pattern) {
+      let matches = this.matches.get(pattern);
+      if (!matches) {
+        const { gitBinPath, gitDir } = this.plugin.settings;
+        matches = this.plugin.enqueueGit(() =>
+          gitCountIgnored(gitBinPath, gitDir, this.plugin.gitWorkTree, pattern),
+        );
+        this.matches.set(pattern, matches);
+      }
+      return matches;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async save() {
+      this.plugin.settings.gitIgnore = this.patterns.join("\n");
+      await this.plugin.saveSettings();
+      this.close();
+      this.onSave();
+      await this.plugin.refreshExcluded();
+    }
+  }
+
+  class GitBackupLargestFilesModal extends Modal {
+    /** @type {GitBlob[]} */
+    blobs;
+
+    /**
+     * @param {obsidian.App} app
+     * @param {GitBlob[]} blobs
+     */
+    constructor(app, blobs) {
+      super(app);
+      this.blobs = blobs;
+    }
+
+    onOpen() {
+      const { contentEl } = this;
+      this.titleEl.setText("Largest files in backup history");
+
+      if (this.blobs.length === 0) {
+        contentEl.createEl("p", { text: "No files backed up yet." });
+        return;
+      }
+
+      for (const blob of this.blobs) {
+        new Setting(contentEl)
+          .setName(blob.path)
+          .setDesc(
+            `${formatBytes(blob.size)} · ${blob.objectName.slice(0, 7)}`,
+          );
+      }
+    }
+
+    onClose() {
+      this.contentEl.empty();
+    }
+  }
+
+  class GitBackupChangesView extends ItemView {
+    /** @type {GitBackupPlugin} */
+    plugin;
+
+    /**
+     * @param {obsidian.WorkspaceLeaf} leaf
+     * @param {GitBackupPlugin} plugin
+     */
+    constructor(leaf, plugin) {
+      super(leaf);
+      this.plugin = plugin;
+    }
+
+    getViewType() {
+      return VIEW_TYPE_CHANGES;
+    }
+
+    getDisplayText() {
+      return "Pending backup changes";
+    }
+
+    getIcon() {
+      return "git-compare";
+    }
+
+    async onOpen() {
+      // Outside contentEl, so it isn't cleared with every render
+      const style = this.containerEl.createEl("style");
+      style.textContent = `
+        .git-backup-diff {
+          font-family: var(--font-monospace);
+          font-size: var(--font-smallest);
+          white-space: pre-wrap;
+          margin: 0 0 var(--size-4-2) var(--size-4-4);
+        }
+        .git-backup-diff .is-insertion {
+          color: var(--text-success);
+          background-color: rgba(var(--color-green-rgb), 0.1);
+        }
+        .git-backup-diff .is-deletion {
+          color: var(--text-error);
+          background-color: rgba(var(--color-red-rgb), 0.1);
+        }
+        .git-backup-diff .is-hunk {
+          color: var(--text-faint);
+        }
+      `;
+      style.setAttribute("scoped", "");
+
+      this.addAction("refresh-cw", "Refresh", () => {
+        this.render();
+      });
+      await this.render();
+    }
+
+    /**
+     * Render the list of files changed since the last backup.
+     * @returns {Promise<void>}
+     */
+    async render() {
+      const { contentEl } = this;
+      contentEl.empty();
+
+      const { gitBinPath, gitDir } = this.plugin.settings;
+
+      /** @type {GitFileChange[]} */
+      let changes;
+      try {
+        changes = await this.plugin.enqueueGit(() =>
+          gitDiffChanges(
+            gitBinPath,
+            gitDir,
+            this.plugin.gitWorkTree,
+            this.plugin.getPrivateNotes(),
+          ),
+        );
+      } catch (error) {
+        console.error(error);
+        contentEl.createEl("p", { text: `Failed to load changes: ${error}` });
+        return;
+      }
+
+      if (changes.length === 0) {
+        contentEl.createEl("p", { text: "No changes since the last backup." });
+        return;
+      }
+
+      for (const change of changes) {
+        const itemEl = contentEl.createDiv({ cls: "tree-item" });
+        const selfEl = itemEl.createDiv({
+          cls: "tree-item-self is-clickable",
+        });
+        const textEl = selfEl.createDiv({ cls: "tree-item-inner" });
+        textEl.createDiv({
+          text: change.oldPath
+            ? `${change.oldPath} → ${change.path}`
+            : change.path,
+        });
+        textEl.createDiv({
+          cls: "tree-item-inner-subtext",
+          text: CHANGE_STATUS_LABELS[change.status] ?? change.status,
+        });
+        selfEl.createDiv({
+          cls: "tree-item-flair-outer",
+          text: `+${change.insertions} -${change.deletions}`,
+        });
+
+        /** @type {HTMLElement | null} */
+        let diffEl = null;
+        selfEl.addEventListener("click", () => {
+          if (diffEl) {
+            diffEl.remove();
+            diffEl = null;
+            return;
+          }
+          const el = itemEl.createDiv({ cls: "git-backup-diff" });
+          diffEl = el;
+          this.renderDiff(el, change).catch((error) => {
+            console.error(error);
+            el.setText(`Failed to load diff: ${error}`);
+          });
+        });
+      }
+    }
+
+    /**
+     * Render a line diff of a single file against HEAD.
+     *
+     * @param {HTMLElement} diffEl
+     * @param {GitFileChange} change
+     * @returns {Promise<void>}
+     */
+    async renderDiff(diffEl, change) {
+      const { gitBinPath, gitDir } = this.plugin.settings;
+      const diff = await this.plugin.enqueueGit(() =>
+        gitDiffFile(
+          gitBinPath,
+          gitDir,
+          this.plugin.gitWorkTree,
+          change,
+          this.plugin.getPrivateNotes(),
+        ),
+      );
+
+      let inHunk = false;
+      for (const line of diff.split("\n")) {
+        if (line.startsWith("@@")) {
+          inHunk = true;
+          diffEl.createDiv({ cls: "is-hunk", text: line });
+        } else if (!inHunk) {
+          if (line.startsWith("Binary files")) {
+            diffEl.createDiv({ text: line });
+          }
+        } else if (line.startsWith("+")) {
+          diffEl.createDiv({ cls: "is-insertion", text: line });
+        } else if (line.startsWith("-")) {
+          diffEl.createDiv({ cls: "is-deletion", text: line });
+        } else if (line.startsWith(" ")) {
+          diffEl.createDiv({ text: line });
+        }
+      }
+
+      if (!diffEl.hasChildNodes()) {
+        diffEl.setText("No content changes.");
+      }
+    }
+  }
+
+  /**
+   * Get the path to the git binary.
+   *
+   * @returns {Promise<string | null>}
+   */
+  async function detectGit() {
+    const env = await getShellEnv();
+    const { stdout } = await execFile("which", ["git"], { env });
+    const result = stdout.trim();
+    return result === "" ? null : result;
+  }
+
+  /**
+   * Get user's login shell environment variables.
+   *
+   * @returns {Promise<Record<string, string>>}
+   */
+  async function getShellEnv() {
+    const shell = process.env.SHELL;
+    assert(shell, "SHELL environment variable is set");
+    const { stdout } = await execFile(shell, ["-l", "-c", "env"], {
+      env: process.env,
+    });
+    /** @type {Record<string, string>} */
+    const env = {};
+    for (const line of stdout.split("\n")) {
+      // Values can contain "=" too
+      const index = line.indexOf("=");
+      if (index > 0) env[line.slice(0, index)] = line.slice(index + 1);
+    }
+    return env;
+  }
+
+  /**
+   * Write a `GIT_ASKPASS` helper that answers git's username and password
+   * prompts from environment variables, so the token never touches disk.
+   *
+   * @param {string} scriptPath
+   * @returns {Promise<void>}
+   */
+  async function writeAskpassHelper(scriptPath) {
+    const script = [
+      "#!/bin/sh",
+      'case "$1" in',
+      `Username*) printf '%s\\n' "$${ASKPASS_USERNAME_ENV}" ;;`,
+      `*) printf '%s\\n' "$${ASKPASS_TOKEN_ENV}" ;;`,
+      "esac",
+      "",
+    ].join("\n");
+    await fs.promises.writeFile(scriptPath, script, { mode: 0o700 });
+  }
+
+  /**
+   * Get git config global value.
+   *
+   * @param {string} name
+   * @returns {Promise<string>}
+   */
+  async function getGitConfig(name) {
+    try {
+      const env = await getShellEnv();
+      const { stdout } = await execEnv("git", env, [
+        "config",
+        "--global",
+        name,
+      ]);
+      return stdout.trim();
+    } catch (error) {
+      console.warn(`Failed to get git config ${name}:`, error);
+      return "";
+    }
+  }
+
+  /**
+   * Fetch or clone a git repository.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async function gitFetch(gitBinPath, gitDir, url) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    if (await exists(gitDir)) {
+      const current = await gitGetRemote(gitBinPath, gitDir);
+      if (current !== url) throw new GitRemoteChangedError(current, url);
+
+      // Bare clones have no fetch refspec, track remote branches so pushes
+      // and ahead/behind counts have something to compare against
+      await git(["config", "--local", "remote.origin.fetch", REMOTE_REFSPEC]);
+      const { stderr } = await git(["fetch", "origin"]);
+      console.log("git fetch:", stderr);
+    } else {
+      console.log("git cloning", url);
+      await git(["clone", "--bare", url, gitDir]);
+      await git(["config", "--local", "remote.origin.fetch", REMOTE_REFSPEC]);
+      await git(["fetch", "origin"]);
+    }
+  }
+
+  /**
+   * Create a bare repository without a remote. The branch starts with an
+   * empty commit so there's always a HEAD to diff and commit against.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} branch
+   * @param {string} gitUserName
+   * @param {string} gitUserEmail
+   * @returns {Promise<void>}
+   */
+  async function gitInit(
+    gitBinPath,
+    gitDir,
+    branch,
+    gitUserName,
+    gitUserEmail,
+  ) {
+    const tmpDir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "obsidian-git-backup-"),
+    );
+    const env = {
+      GIT_DIR: gitDir,
+      // Doesn't exist, so write-tree writes the empty tree
+      GIT_INDEX_FILE: path.join(tmpDir, "index"),
+      GIT_AUTHOR_NAME: gitUserName,
+      GIT_AUTHOR_EMAIL: gitUserEmail,
+      GIT_COMMITTER_NAME: gitUserName,
+      GIT_COMMITTER_EMAIL: gitUserEmail,
+    };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    try {
+      console.log("git init", gitDir);
+      await git(["init", "--bare", gitDir]);
+      const tree = (await git(["write-tree"])).stdout.trim();
+      const { stdout } = await git([
+        "commit-tree",
+        "-m",
+        "Initialize vault backup",
+        tree,
+      ]);
+      await git(["update-ref", `refs/heads/${branch}`, stdout.trim()]);
+      await git(["symbolic-ref", "HEAD", `refs/heads/${branch}`]);
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Create the backup repository for a remote. A remote that already has
+   * the backup branch is cloned. An empty one, or one that only has other
+   * branches, gets a new repository and a first push instead, since a clone
+   * would leave HEAD on the remote's default branch.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} url
+   * @param {string} branch
+   * @param {string} gitUserName
+   * @param {string} gitUserEmail
+   * @returns {Promise<void>}
+   */
+  async function gitSetupRepository(
+    gitBinPath,
+    gitDir,
+    url,
+    branch,
+    gitUserName,
+    gitUserEmail,
+  ) {
+    const remote = await gitLsRemote(gitBinPath, url);
+    if (remote.branches.includes(branch)) {
+      await gitFetch(gitBinPath, gitDir, url);
+      if (remote.defaultBranch !== branch) {
+        await execEnv(gitBinPath, { GIT_DIR: gitDir }, [
+          "symbolic-ref",
+          "HEAD",
+          `refs/heads/${branch}`,
+        ]);
+      }
+    } else {
+      await gitInit(gitBinPath, gitDir, branch, gitUserName, gitUserEmail);
+      await gitSetRemote(gitBinPath, gitDir, url);
+      await gitPush(gitBinPath, gitDir, "origin", branch);
+    }
+  }
+
+  /**
+   * Set up a repository next to `gitDir` and swap it into place only once
+   * that succeeded, so a wrong URL or a network error leaves the old one
+   * untouched.
+   *
+   * @param {string} gitDir
+   * @param {(newGitDir: string) => Promise<void>} setup
+   * @returns {Promise<void>}
+   */
+  async function gitReplaceRepository(gitDir, setup) {
+    const suffix = crypto.randomBytes(4).toString("hex");
+    const newGitDir = `${gitDir}.new-${suffix}`;
+    const oldGitDir = `${gitDir}.old-${suffix}`;
+    try {
+      await setup(newGitDir);
+    } catch (error) {
+      await fs.promises.rm(newGitDir, { recursive: true, force: true });
+      throw error;
+    }
+    await fs.promises.rename(gitDir, oldGitDir);
+    await fs.promises.rename(newGitDir, gitDir);
+    await fs.promises.rm(oldGitDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Point HEAD at `branch`, creating it from the current HEAD if it doesn't
+   * exist so backups carry on from the same history.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} branch
+   * @returns {Promise<void>}
+   */
+  async function gitSwitchBranch(gitBinPath, gitDir, branch) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const ref = `refs/heads/${branch}`;
+
+    const { stdout } = await git(["symbolic-ref", "HEAD"]);
+    if (stdout.trim() === ref) return;
+    try {
+      await git(["rev-parse", "--verify", "--quiet", ref]);
+    } catch (error) {
+      try {
+        await git(["update-ref", ref, "HEAD"]);
+      } catch (error) {
+        // HEAD has no commits yet, the branch starts out empty too
+      }
+    }
+    await git(["symbolic-ref", "HEAD", ref]);
+  }
+
+  /**
+   * @typedef {{ defaultBranch: string | null; branches: string[]; }} GitRemoteInfo
+   */
+
+  /**
+   * List the branches of a remote without a local repository, which also
+   * checks that it's reachable.
+   *
+   * @param {string} gitBinPath
+   * @param {string} url
+   * @returns {Promise<GitRemoteInfo>}
+   */
+  async function gitLsRemote(gitBinPath, url) {
+    const { stdout } = await execEnv(gitBinPath, {}, [
+      "ls-remote",
+      "--symref",
+      url,
+      "HEAD",
+      "refs/heads/*",
+    ]);
+
+    /** @type {GitRemoteInfo} */
+    const remote = { defaultBranch: null, branches: [] };
+    for (const line of stdout.split("\n")) {
+      const [object, ref] = line.split("\t", 2);
+      if (ref === "HEAD" && object.startsWith("ref: refs/heads/")) {
+        remote.defaultBranch = object.slice("ref: refs/heads/".length);
+      } else if (ref?.startsWith("refs/heads/")) {
+        remote.branches.push(ref.slice("refs/heads/".length));
+      }
+    }
+    return remote;
+  }
+
+  /**
+   * Get the URL of the repository's origin remote.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<string | null>} null if there's no origin
+   */
+  async function gitGetRemote(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    try {
+      const { stdout } = await git(["config", "--local", "remote.origin.url"]);
+      return stdout.trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Point the origin remote at a URL, adding it if missing. Tracking
+   * branches of the old URL are dropped so unpushed counts start over
+   * against the new remote.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async function gitSetRemote(gitBinPath, gitDir, url) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    if ((await gitGetRemote(gitBinPath, gitDir)) !== null) {
+      await git(["remote", "remove", "origin"]);
+    }
+    await git(["remote", "add", "origin", url]);
+    await git(["config", "--local", "remote.origin.fetch", REMOTE_REFSPEC]);
+  }
+
+  /**
+   * @param {string} gitBinPath
+   * @returns {Promise<string>} e.g. "git version 2.39.2"
+   */
+  async function gitVersion(gitBinPath) {
+    const { stdout } = await execEnv(gitBinPath, {}, ["--version"]);
+    return stdout.trim();
+  }
+
+  /**
+   * List every file path in a commit.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} rev
+   * @returns {Promise<string[]>}
+   */
+  async function gitListFiles(gitBinPath, gitDir, rev) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git(["ls-tree", "-r", "--name-only", "-z", rev]);
+    return stdout.split("\0").filter(Boolean);
+  }
+
+  /**
+   * Check that every object reachable from the refs is in the repository.
+   * Object contents aren't verified, which would take minutes on a large
+   * vault.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<string[]>} problems reported, empty if none
+   */
+  async function gitFsck(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    let output;
+    try {
+      const { stdout, stderr } = await git([
+        "fsck",
+        "--connectivity-only",
+        "--no-progress",
+        "--no-dangling",
+      ]);
+      output = stdout + stderr;
+    } catch (error) {
+      // Exits non-zero when it finds problems, which it prints as usual
+      if (!(error instanceof Error && "stdout" in error && "stderr" in error)) {
+        throw error;
+      }
+      output = `${error.stdout}${error.stderr}` || error.message;
+    }
+    return output.split("\n").filter((line) => line.trim());
+  }
+
+  /**
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<{ looseObjects: number; size: number; garbage: number; }>}
+   *   size in bytes
+   */
+  async function gitCountObjects(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git(["count-objects", "-v"]);
+
+    /** @type {Record<string, number>} */
+    const counts = {};
+    for (const line of stdout.split("\n")) {
+      const [key, value] = line.split(": ", 2);
+      if (key) counts[key] = parseInt(value) || 0;
+    }
+    return {
+      looseObjects: counts["count"] ?? 0,
+      // Sizes are reported in KiB
+      size:
+        ((counts["size"] ?? 0) +
+          (counts["size-pack"] ?? 0) +
+          (counts["size-garbage"] ?? 0)) *
+        1024,
+      garbage: counts["garbage"] ?? 0,
+    };
+  }
+
+  /**
+   * Pack loose objects and prune unreachable ones.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<void>}
+   */
+  async function gitGc(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stderr } = await git(["gc", "--quiet"]);
+    console.log("git gc:", stderr);
+  }
+
+  /**
+   * Count commits on a branch that aren't on any remote-tracking branch.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} branch
+   * @returns {Promise<number>}
+   */
+  async function gitUnpushedCount(gitBinPath, gitDir, branch) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    try {
+      const { stdout } = await git([
+        "rev-list",
+        "--count",
+        `refs/heads/${branch}`,
+        "--not",
+        "--remotes=origin",
+      ]);
+      return parseInt(stdout.trim());
+    } catch (error) {
+      // Branch has no commits yet
+      return 0;
+    }
+  }
+
+  /**
+   * Count commits only on `local` and only on `upstream`.
+   * Returns null if `upstream` doesn't exist yet.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} local
+   * @param {string} upstream
+   * @returns {Promise<{ ahead: number; behind: number; } | null>}
+   */
+  async function gitAheadBehind(gitBinPath, gitDir, local, upstream) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    try {
+      await git(["rev-parse", "--verify", "--quiet", upstream]);
+    } catch (error) {
+      return null;
+    }
+
+    const { stdout } = await git([
+      "rev-list",
+      "--left-right",
+      "--count",
+      `${local}...${upstream}`,
+    ]);
+    const [ahead, behind] = stdout.trim().split(/\s+/, 2);
+    return { ahead: parseInt(ahead), behind: parseInt(behind) };
+  }
+
+  /**
+   * Merge `upstream` into `branch` and bring the changes it made into the
+   * work tree, so the branch can be fast-forward pushed. The merge is made
+   * with `merge-tree` rather than `merge`, which would need a checkout.
+   *
+   * Nothing is changed when both sides changed the same part of a file, or
+   * when a file `upstream` changed has changes in the work tree that aren't
+   * in `branch` yet, such as edits since the last backup and redacted notes.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} branch
+   * @param {string} upstream
+   * @param {string} message
+   * @param {string} gitUserName
+   * @param {string} gitUserEmail
+   * @returns {Promise<string>}
+   */
+  async function gitMerge(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    branch,
+    upstream,
+    message,
+    gitUserName,
+    gitUserEmail,
+  ) {
+    const env = {
+      ...gitFilterEnv,
+      GIT_DIR: gitDir,
+      GIT_WORK_TREE: gitWorkTree,
+      GIT_AUTHOR_NAME: gitUserName,
+      GIT_AUTHOR_EMAIL: gitUserEmail,
+      GIT_COMMITTER_NAME: gitUserName,
+      GIT_COMMITTER_EMAIL: gitUserEmail,
+    };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    let tree;
+    try {
+      const { stdout } = await git([
+        "merge-tree",
+        "--write-tree",
+        "--no-messages",
+        "--name-only",
+        "-z",
+        branch,
+        upstream,
+      ]);
+      tree = stdout.split("\0", 1)[0];
+    } catch (error) {
+      // Exits with 1 and lists the conflicted files after the tree
+      const { code } = /** @type {{ code?: unknown }} */ (error);
+      if (code === 129) {
+        throw new Error(`Merging backups needs git 2.38 or later: ${error}`);
+      }
+      if (code !== 1) throw error;
+      const { stdout } = /** @type {{ stdout: string }} */ (error);
+      const conflicts = Array.from(new Set(stdout.split("\0").slice(1)));
+      throw new GitMergeConflictError(upstream, conflicts.filter(Boolean));
+    }
+
+    const { stdout: changedOut } = await git([
+      "diff-tree",
+      "-r",
+      "--name-only",
+      "-z",
+      branch,
+      tree,
+    ]);
+    const changed = changedOut.split("\0").filter(Boolean);
+    if (changed.length > 0) {
+      const pathspec = changed.map((filePath) => `:(literal)${filePath}`);
+      await git(["update-index", "-q", "--refresh"]);
+      const { stdout: modifiedOut } = await git([
+        "ls-files",
+        "--modified",
+        "--others",
+        "-z",
+        "--",
+        ...pathspec,
+      ]);
+      const modified = modifiedOut.split("\0").filter(Boolean);
+      if (modified.length > 0) {
+        throw new GitMergeConflictError(upstream, modified);
+      }
+    }
+
+    const { stdout } = await git([
+      "commit-tree",
+      tree,
+      "-p",
+      branch,
+      "-p",
+      upstream,
+      "-m",
+      message,
+    ]);
+    const commitSha = stdout.trim();
+    // Updates the index and the files that changed, checking again that
+    // none have changes of their own
+    await git(["read-tree", "-m", "-u", branch, commitSha]);
+    await git(["update-ref", `refs/heads/${branch}`, commitSha]);
+    return commitSha;
+  }
+
+  /**
+   * Name of the branch this device pushes to when backups diverge.
+   *
+   * @param {string} branch
+   * @returns {string}
+   */
+  function getDeviceBranchName(branch) {
+    const hostname = os
+      .hostname()
+      .toLowerCase()
+      .replace(/\.local$/, "")
+      .replace(/[^a-z0-9-]+/g, "-");
+    return `${branch}-${hostname}`;
+  }
+
+  /**
+   * Push local git changes to remote.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} repository
+   * @param {...string} refspecs
+   * @returns {Promise<void>}
+   */
+  async function gitPush(gitBinPath, gitDir, repository, ...refspecs) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    // Snapshot tags go along with the commits they point at
+    const { stderr } = await git([
+      "push",
+      "--follow-tags",
+      repository,
+      ...refspecs,
+    ]);
+    console.log("git push:", stderr);
+  }
+
+  /**
+   * List local tags a remote doesn't have.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} repository
+   * @returns {Promise<string[]>} full ref names
+   */
+  async function gitUnpushedTags(gitBinPath, gitDir, repository) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const local = await git([
+      "for-each-ref",
+      "--format=%(refname)",
+      "refs/tags",
+    ]);
+    const tags = local.stdout.split("\n").filter(Boolean);
+    if (tags.length === 0) return [];
+
+    const remote = await git(["ls-remote", "--tags", "--refs", repository]);
+    const pushed = new Set(
+      remote.stdout.split("\n").map((line) => line.split("\t")[1]),
+    );
+    return tags.filter((tag) => !pushed.has(tag));
+  }
+
+  /**
+   * Push to an extra backup destination. A local path that doesn't exist
+   * yet is initialized as a bare repository, as long as its parent folder
+   * exists, so an unmounted drive still fails.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} url
+   * @param {string} refspec
+   * @returns {Promise<void>}
+   */
+  async function gitPushDestination(gitBinPath, gitDir, url, refspec) {
+    if (path.isAbsolute(url) && !(await exists(url))) {
+      assert(
+        await exists(path.dirname(url)),
+        `${path.dirname(url)} doesn't exist`,
+      );
+      await execEnv(gitBinPath, {}, ["init", "--bare", url]);
+    }
+    await gitPush(gitBinPath, gitDir, url, refspec);
+  }
+
+  /**
+   * Write every branch and tag to a bundle file, leaving out history
+   * already reachable from `since`.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} bundlePath
+   * @param {string | null} since
+   * @returns {Promise<boolean>} false if there was nothing to write, git
+   *   refuses to create an empty bundle
+   */
+  async function gitCreateBundle(gitBinPath, gitDir, bundlePath, since) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const revs = ["--branches", "--tags"];
+    if (since) revs.push("--not", `refs/tags/${since}`);
+
+    const { stdout } = await git(["rev-list", "--count", ...revs]);
+    if (parseInt(stdout) === 0) return false;
+
+    const { stderr } = await git(["bundle", "create", bundlePath, ...revs]);
+    console.log("git bundle:", stderr);
+    return true;
+  }
+
+  /**
+   * Verify a bundle and fetch its tags and backup branch, or its first
+   * branch if it was made with another branch name. Into a new repository
+   * the branch becomes the backup history, otherwise it goes under
+   * `refs/bundle/` so the local branch is left alone.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} bundlePath
+   * @param {string} branch
+   * @param {string} url remote to set as origin of a new repository, if any
+   * @returns {Promise<string>} ref of the branch to restore from
+   */
+  async function gitFetchBundle(gitBinPath, gitDir, bundlePath, branch, url) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    const created = !(await exists(gitDir));
+    if (created) {
+      console.log("git init", gitDir);
+      await git(["init", "--bare", gitDir]);
+      await git(["symbolic-ref", "HEAD", `refs/heads/${branch}`]);
+      if (url) await gitSetRemote(gitBinPath, gitDir, url);
+    }
+
+    try {
+      // Fails on a bundle that needs commits this repository doesn't have
+      await git(["bundle", "verify", bundlePath]);
+      const { stdout } = await git(["bundle", "list-heads", bundlePath]);
+      const heads = stdout
+        .split("\n")
+        .map((line) => line.split(" ")[1])
+        .filter((ref) => ref?.startsWith("refs/heads/"));
+      assert(heads.length > 0, "Bundle has no branches");
+      const head = heads.includes(`refs/heads/${branch}`)
+        ? `refs/heads/${branch}`
+        : heads[0];
+
+      const target = created
+        ? `refs/heads/${branch}`
+        : `refs/bundle/${head.slice("refs/heads/".length)}`;
+      const { stderr } = await git([
+        "fetch",
+        bundlePath,
+        `+${head}:${target}`,
+        "+refs/tags/*:refs/tags/*",
+      ]);
+      console.log("git fetch:", stderr);
+      return target;
+    } catch (error) {
+      // Don't leave a half set up repository for the next backup to find
+      if (created)
+        await fs.promises.rm(gitDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * @typedef {{
+   *   commitSha: string,
+   *   timestamp: number,
+   *   message: string,
+   *   filesChanged: number,
+   *   insertions: number,
+   *   deletions: number,
+   * }} GitLogEntry
+   */
+
+  /**
+   * List commits that touched a path, newest first.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} filePath
+   * @returns {Promise<GitLogEntry[]>}
+   */
+  async function gitLogFile(gitBinPath, gitDir, filePath) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git([
+      "log",
+      "--format=%x1e%H%x00%at%x00%s",
+      "--numstat",
+      "--",
+      filePath,
+    ]);
+
+    /** @type {GitLogEntry[]} */
+    const entries = [];
+    for (const record of stdout.split("\x1e")) {
+      if (!record.trim()) continue;
+      const [header, ...numstat] = record.split("\n");
+      const [commitSha, timestamp, message] = header.split("\0", 3);
+      entries.push({
+        commitSha,
+        timestamp: parseInt(timestamp),
+        message,
+        ...parseGitDiffNumstat(numstat.join("\n")),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Name a file as of a given revision, or as it was just before the
+   * revision deleted it.
+   *
+   * @param {GitExec} git
+   * @param {string} rev
+   * @param {string} filePath
+   * @returns {Promise<string>}
+   */
+  async function gitFileObject(git, rev, filePath) {
+    try {
+      await git(["cat-file", "-e", `${rev}:${filePath}`]);
+      return `${rev}:${filePath}`;
+    } catch (error) {
+      return `${rev}^:${filePath}`;
+    }
+  }
+
+  /**
+   * Read the contents of a file at a given commit, or just before it if
+   * the commit deleted the file.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} commitSha
+   * @param {string} filePath
+   * @returns {Promise<string>}
+   */
+  async function gitShowFile(gitBinPath, gitDir, commitSha, filePath) {
+    const env = { ...gitFilterEnv, GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    // --filters decrypts encrypted backups
+    const { stdout } = await git([
+      "cat-file",
+      "--filters",
+      await gitFileObject(git, commitSha, filePath),
+    ]);
+    assert(!isEncrypted(stdout), `${filePath} is still encrypted`);
+    return stdout;
+  }
+
+  /**
+   * @typedef {{
+   *   rev: string,
+   *   label: string,
+   *   timestamp: number,
+   *   message: string,
+   * }} GitRevision
+   */
+
+  /**
+   * List tags, newest first.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<GitRevision[]>}
+   */
+  async function gitListTags(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    const { stdout } = await git([
+      "for-each-ref",
+      "--sort=-creatordate",
+      "--format=%(refname:short)%00%(creatordate:unix)%00%(contents:subject)",
+      "refs/tags",
+    ]);
+    /** @type {GitRevision[]} */
+    const tags = [];
+    for (const line of stdout.split("\n")) {
+      if (!line) continue;
+      const [name, timestamp, message] = line.split("\0", 3);
+      tags.push({
+        rev: `refs/tags/${name}^{commit}`,
+        label: name,
+        timestamp: parseInt(timestamp),
+        message,
+      });
+    }
+    return tags;
+  }
+
+  /**
+   * Create an annotated `snapshot/<date>-<label>` tag on HEAD with the label
+   * as its message.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} label
+   * @param {string} gitUserName
+   * @param {string} gitUserEmail
+   * @returns {Promise<string>} the tag name
+   */
+  async function gitCreateSnapshotTag(
+    gitBinPath,
+    gitDir,
+    label,
+    gitUserName,
+    gitUserEmail,
+  ) {
+    const env = {
+      GIT_DIR: gitDir,
+      GIT_COMMITTER_NAME: gitUserName,
+      GIT_COMMITTER_EMAIL: gitUserEmail,
+    };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    const slug = label
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    const tag = `snapshot/${moment().format("YYYY-MM-DD-HHmmss")}${
+      slug ? `-${slug}` : ""
+    }`;
+    await git(["tag", "--annotate", "--message", label, tag, "HEAD"]);
+    return tag;
+  }
+
+  /**
+   * List tags and recent commits on a branch, newest first.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} branch
+   * @returns {Promise<GitRevision[]>}
+   */
+  async function gitListRevisions(gitBinPath, gitDir, branch) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    /** @type {GitRevision[]} */
+    const revisions = await gitListTags(gitBinPath, gitDir);
+
+    const commits = await git([
+      "log",
+      "--max-count=100",
+      "--format=%H%x00%at%x00%s",
+      branch,
+      "--",
+    ]);
+    for (const line of commits.stdout.split("\n")) {
+      if (!line) continue;
+      const [commitSha, timestamp, message] = line.split("\0", 3);
+      revisions.push({
+        rev: commitSha,
+        label: commitSha.slice(0, 7),
+        timestamp: parseInt(timestamp),
+        message,
+      });
+    }
+
+    return revisions;
+  }
+
+  /**
+   * List work tree files that checking out a revision would overwrite or
+   * create.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} rev
+   * @param {string[]} pathspec
+   * @returns {Promise<{ overwritten: string[]; created: string[]; }>}
+   */
+  async function gitCheckoutPreview(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    rev,
+    pathspec,
+  ) {
+    return await withScratchIndex(
+      gitBinPath,
+      gitDir,
+      gitWorkTree,
+      async (git) => {
+        await git(["read-tree", rev]);
+        await git(["update-index", "-q", "--refresh"]);
+        const { stdout } = await git([
+          "diff-files",
+          "--name-status",
+          "-z",
+          "--",
+          ...pathspec,
+        ]);
+
+        /** @type {{ overwritten: string[]; created: string[]; }} */
+        const preview = { overwritten: [], created: [] };
+        const fields = stdout.split("\0");
+        for (let i = 0; i + 1 < fields.length; i += 2) {
+          if (fields[i] === "D") {
+            preview.created.push(fields[i + 1]);
+          } else {
+            preview.overwritten.push(fields[i + 1]);
+          }
+        }
+        return preview;
+      },
+    );
+  }
+
+  /**
+   * Check out the tree of a revision into a work tree without moving HEAD or
+   * touching the commit index. Files missing from the revision are kept.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} rev
+   * @param {string[]} pathspec
+   * @returns {Promise<void>}
+   */
+  async function gitCheckoutTree(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    rev,
+    pathspec,
+  ) {
+    await withScratchIndex(gitBinPath, gitDir, gitWorkTree, async (git) => {
+      await git(["checkout", rev, "--", ...pathspec]);
+
+      const { stdout } = await git(["ls-files", "-z", "--", ...pathspec]);
+      const encrypted = await findEncryptedFiles(
+        gitWorkTree,
+        stdout.split("\0").filter(Boolean),
+      );
+      assert(
+        encrypted.length === 0,
+        `Restored files are still encrypted: ${listPaths(encrypted)}`,
+      );
+    });
+  }
+
+  /**
+   * Read the raw contents of a file at a given revision, or just before it
+   * if the revision deleted the file.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} rev
+   * @param {string} filePath
+   * @returns {Promise<Buffer>}
+   */
+  async function gitShowBlob(gitBinPath, gitDir, rev, filePath) {
+    const git = execEnv.bind(null, gitBinPath, { GIT_DIR: gitDir });
+    const { stdout } = await execFile(
+      gitBinPath,
+      ["cat-file", "--filters", await gitFileObject(git, rev, filePath)],
+      {
+        env: { ...gitBaseEnv, ...gitFilterEnv, GIT_DIR: gitDir },
+        encoding: "buffer",
+        maxBuffer: Infinity,
+      },
+    );
+    assert(!isEncrypted(stdout), `${filePath} is still encrypted`);
+    return stdout;
+  }
+
+  /**
+   * @typedef {{
+   *   path: string,
+   *   commitSha: string,
+   *   timestamp: number,
+   *   message: string,
+   * }} GitDeletedFile
+   */
+
+  /**
+   * List files deleted in history along with the most recent commit that
+   * deleted them.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<GitDeletedFile[]>}
+   */
+  async function gitLogDeletedFiles(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git([
+      "log",
+      "--diff-filter=D",
+      "--name-only",
+      "-z",
+      "--format=%x1e%H%x00%at%x00%s",
+    ]);
+
+    /** @type {Map<string, GitDeletedFile>} */
+    const files = new Map();
+    for (const record of stdout.split("\x1e")) {
+      if (!record) continue;
+      // The header ends in a NUL and a newline, paths in a NUL each
+      const headerEnd = record.indexOf("\0\n");
+      const [commitSha, timestamp, message] = record
+        .slice(0, headerEnd)
+        .split("\0", 3);
+      const paths = record.slice(headerEnd + 2).split("\0");
+      for (const filePath of paths) {
+        if (!filePath || files.has(filePath)) continue;
+        files.set(filePath, {
+          path: filePath,
+          commitSha,
+          timestamp: parseInt(timestamp),
+          message,
+        });
+      }
+    }
+    return Array.from(files.values());
+  }
+
+  /**
+   * @typedef {{ objectName: string, path: string, size: number }} GitBlob
+   */
+
+  /**
+   * List the largest blobs reachable from any ref, with a path each was
+   * committed under.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {number} limit
+   * @returns {Promise<GitBlob[]>}
+   */
+  async function gitLargestBlobs(gitBinPath, gitDir, limit) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    /** @type {Map<string, string>} */
+    const paths = new Map();
+    const objects = await git(["rev-list", "--objects", "--all"]);
+    for (const line of objects.stdout.split("\n")) {
+      const index = line.indexOf(" ");
+      if (index === -1) continue;
+      paths.set(line.slice(0, index), line.slice(index + 1));
+    }
+
+    const { stdout } = await git([
+      "cat-file",
+      "--batch-all-objects",
+      "--batch-check=%(objecttype) %(objectname) %(objectsize)",
+    ]);
+    /** @type {GitBlob[]} */
+    const blobs = [];
+    for (const line of stdout.split("\n")) {
+      const [type, objectName, size] = line.split(" ");
+      const blobPath = paths.get(objectName);
+      // Unreachable blobs have no path
+      if (type !== "blob" || blobPath === undefined) continue;
+      blobs.push({ objectName, path: blobPath, size: parseInt(size) });
+    }
+    return blobs.sort((a, b) => b.size - a.size).slice(0, limit);
+  }
+
+  /**
+   * Get git stats for uncommitted changes. Redacted notes are left out,
+   * since their backed up copy never matches the note.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {PrivateNotes} privateNotes
+   * @returns {Promise<{ filesChanged: number; insertions: number; deletions: number; }>}
+   */
+  async function gitStat(gitBinPath, gitDir, gitWorkTree, privateNotes) {
+    const env = {
+      ...gitFilterEnv,
+      GIT_DIR: gitDir,
+      GIT_WORK_TREE: gitWorkTree,
+    };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git([
+      "diff",
+      "--numstat",
+      await gitHeadOrEmptyTree(git),
+      "--",
+      ".",
+      ...privateNotes.redacted.map(excludePathspec),
+    ]);
+    return parseGitDiffNumstat(stdout);
+  }
+
+  /**
+   * @typedef {{
+   *   status: string,
+   *   path: string,
+   *   oldPath: string | null,
+   *   insertions: number,
+   *   deletions: number,
+   * }} GitFileChange
+   */
+
+  /**
+   * @typedef {(args: string[]) => Promise<{ stdout: string; stderr: string }>} GitExec
+   */
+
+  /**
+   * Resolve to HEAD, or to the empty tree if the branch has no commits yet.
+   *
+   * @param {GitExec} git
+   * @returns {Promise<string>}
+   */
+  async function gitHeadOrEmptyTree(git) {
+    try {
+      await git(["rev-parse", "--verify", "--quiet", "HEAD"]);
+      return "HEAD";
+    } catch (error) {
+      return EMPTY_TREE;
+    }
+  }
+
+  /**
+   * Run git against a scratch copy of the index, so changes can be staged
+   * without touching the index used for commits.
+   *
+   * @template T
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {(git: GitExec) => Promise<T>} callback
+   * @returns {Promise<T>}
+   */
+  async function withScratchIndex(gitBinPath, gitDir, gitWorkTree, callback) {
+    const tmpDir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "obsidian-git-backup-"),
+    );
+    const indexFile = path.join(tmpDir, "index");
+
+    try {
+      if (await exists(path.join(gitDir, "index"))) {
+        await fs.promises.copyFile(path.join(gitDir, "index"), indexFile);
+      }
+
+      const env = {
+        ...gitFilterEnv,
+        GIT_DIR: gitDir,
+        GIT_WORK_TREE: gitWorkTree,
+        GIT_INDEX_FILE: indexFile,
+      };
+      return await callback(execEnv.bind(null, gitBinPath, env));
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * List files changed in the work tree since `rev`, including renames.
+   * Private notes are staged like a backup would.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {PrivateNotes} privateNotes
+   * @param {string} [rev]
+   * @returns {Promise<GitFileChange[]>}
+   */
+  async function gitDiffChanges(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    privateNotes,
+    rev = "HEAD",
+  ) {
+    return await withScratchIndex(
+      gitBinPath,
+      gitDir,
+      gitWorkTree,
+      async (git) => {
+        const { excluded, redacted } = privateNotes;
+        await git([
+          "add",
+          "--all",
+          "--",
+          ".",
+          ...[...excluded, ...redacted].map(excludePathspec),
+        ]);
+        await gitStagePrivateNotes(git, gitWorkTree, privateNotes, null);
+        if (rev === "HEAD") rev = await gitHeadOrEmptyTree(git);
+        const args = ["diff", "--cached", "-M", "-z", rev];
+        const nameStatus = await git([...args, "--name-status"]);
+        const numstat = await git([...args, "--numstat"]);
+        return parseGitDiffChanges(nameStatus.stdout, numstat.stdout);
+      },
+    );
+  }
+
+  /**
+   * Get the unified diff of a single changed file against HEAD.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {GitFileChange} change
+   * @param {PrivateNotes} privateNotes
+   * @returns {Promise<string>}
+   */
+  async function gitDiffFile(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    change,
+    privateNotes,
+  ) {
+    const paths = change.oldPath
+      ? [change.oldPath, change.path]
+      : [change.path];
+    const redacted = paths.filter((filePath) =>
+      privateNotes.redacted.includes(filePath),
+    );
+    return await withScratchIndex(
+      gitBinPath,
+      gitDir,
+      gitWorkTree,
+      async (git) => {
+        const head = await gitHeadOrEmptyTree(git);
+        await git(["reset", "--quiet", head, "--", ...paths]);
+        await git([
+          "add",
+          "--all",
+          "--",
+          ...paths.map((filePath) => `:(literal)${filePath}`),
+          ...redacted.map(excludePathspec),
+        ]);
+        await gitStageRedacted(
+          git,
+          gitWorkTree,
+          redacted,
+          privateNotes.redactKeys,
+        );
+        const { stdout } = await git([
+          "diff",
+          "--cached",
+          "-M",
+          head,
+          "--",
+          ...paths,
+        ]);
+        return stdout;
+      },
+    );
+  }
+
+  /**
+   * @typedef {GitFileChange & { size: number }} GitPreviewChange
+   */
+
+  /**
+   * Stage changes like `gitCommitAll` would, in a scratch index, and list
+   * what the commit would contain.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} gitIgnore
+   * @param {string[] | null} paths
+   * @param {StageOptions} options
+   * @returns {Promise<StageResult & { changes: GitPreviewChange[] }>}
+   */
+  async function gitPreviewCommit(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    gitIgnore,
+    paths,
+    options,
+  ) {
+    return await withScratchIndex(
+      gitBinPath,
+      gitDir,
+      gitWorkTree,
+      async (git) => {
+        const staged = await gitStageChanges(
+          git,
+          gitDir,
+          gitWorkTree,
+          gitIgnore,
+          paths,
+          options,
+        );
+
+        const changes = await gitDiffStaged(git);
+
+        // Deleted files only have a size in HEAD
+        /** @type {Map<string, number>} */
+        const deletedSizes = new Map();
+        const deleted = changes
+          .filter((change) => change.status === "D")
+          .map((change) => change.path);
+        if (deleted.length > 0) {
+          const { stdout } = await git([
+            "--literal-pathspecs",
+            "ls-tree",
+            "-r",
+            "-l",
+            "-z",
+            "HEAD",
+            "--",
+            ...deleted,
+          ]);
+          for (const entry of stdout.split("\0")) {
+            const match = entry.match(/^\S+ \S+ \S+ +(\d+)\t(.*)$/);
+            if (match) deletedSizes.set(match[2], parseInt(match[1]));
+          }
+        }
+
+        /** @type {GitPreviewChange[]} */
+        const previewChanges = [];
+        for (const change of changes) {
+          let size = deletedSizes.get(change.path) ?? 0;
+          if (change.status !== "D") {
+            const stat = await fs.promises.lstat(
+              path.join(gitWorkTree, change.path),
+            );
+            size = stat.size;
+          }
+          previewChanges.push({ ...change, size });
+        }
+
+        return { ...staged, changes: previewChanges };
+      },
+    );
+  }
+
+  /**
+   * List staged changes against HEAD.
+   *
+   * @param {GitExec} git
+   * @returns {Promise<GitFileChange[]>}
+   */
+  async function gitDiffStaged(git) {
+    const head = await gitHeadOrEmptyTree(git);
+    const args = ["diff", "--cached", "-M", "-z", head];
+    const nameStatus = await git([...args, "--name-status"]);
+    const numstat = await git([...args, "--numstat"]);
+    return parseGitDiffChanges(nameStatus.stdout, numstat.stdout);
+  }
+
+  /**
+   * Parse git diff --name-status -z and --numstat -z output into a list of
+   * file changes.
+   *
+   * @param {string} nameStatusOut
+   * @param {string} numstatOut
+   * @returns {GitFileChange[]}
+   */
+  function parseGitDiffChanges(nameStatusOut, numstatOut) {
+    /** @type {Map<string, { insertions: number; deletions: number }>} */
+    const counts = new Map();
+    const numstat = numstatOut.split("\0");
+    for (let i = 0; i < numstat.length; i++) {
+      const cols = numstat[i].split("\t", 3);
+      if (cols.length < 3) continue;
+      let filePath = cols[2];
+      if (filePath === "") {
+        // Renames are followed by separate old and new path fields
+        i += 2;
+        filePath = numstat[i];
+      }
+      counts.set(filePath, {
+        insertions: parseInt(cols[0]) || 0,
+        deletions: parseInt(cols[1]) || 0,
+      });
+    }
+
+    /** @type {GitFileChange[]} */
+    const changes = [];
+    const fields = nameStatusOut.split("\0");
+    for (let i = 0; i < fields.length; i++) {
+      const status = fields[i].charAt(0);
+      if (!status) continue;
+      let oldPath = null;
+      if (status === "R" || status === "C") {
+        oldPath = fields[++i];
+      }
+      const filePath = fields[++i];
+      const { insertions, deletions } = counts.get(filePath) ?? {
+        insertions: 0,
+        deletions: 0,
+      };
+      changes.push({ status, path: filePath, oldPath, insertions, deletions });
+    }
+    return changes;
+  }
+
+  /**
+   * Parse git diff --numstat output.
+   *
+   * @param {string} out
+   * @returns {{ filesChanged: number; insertions: number; deletions: number; }}
+   */
+  function parseGitDiffNumstat(out) {
+    const stats = {
+      filesChanged: 0,
+      insertions: 0,
+      deletions: 0,
+    };
+
+    for (const line of out.trim().split("\n")) {
+      if (line.trim()) {
+        const cols = line.split(/\s+/, 3);
+        stats.filesChanged++;
+        // Binary and encrypted files are listed as - -
+        stats.insertions += parseInt(cols[0]) || 0;
+        stats.deletions += parseInt(cols[1]) || 0;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Run `git commit` in the given git directory, staging changes with
+   * `gitStageChanges`.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {(changes: GitFileChange[], group: string | null) => string} formatMessage
+   * @param {((change: GitFileChange) => string) | null} groupOf splits the
+   *   changes into one commit per group when given
+   * @param {string} gitUserName
+   * @param {string} gitUserEmail
+   * @param {string} gitIgnore
+   * @param {string[] | null} paths
+   * @param {StageOptions} options
+   * @returns {Promise<{ commit: { commitSha: string; commits: number; filesChanged: number; insertions: number; deletions: number; } | null; skipped: string[]; warned: string[]; }>}
+   */
+  async function gitCommitAll(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    formatMessage,
+    groupOf,
+    gitUserName,
+    gitUserEmail,
+    gitIgnore,
+    paths,
+    options,
+  ) {
+    const env = {
+      ...gitFilterEnv,
+      GIT_DIR: gitDir,
+      GIT_WORK_TREE: gitWorkTree,
+      GIT_AUTHOR_NAME: gitUserName,
+      GIT_AUTHOR_EMAIL: gitUserEmail,
+      GIT_COMMITTER_NAME: gitUserName,
+      GIT_COMMITTER_EMAIL: gitUserEmail,
+    };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    try {
+      const { skipped, warned } = await gitStageChanges(
+        git,
+        gitDir,
+        gitWorkTree,
+        gitIgnore,
+        paths,
+        options,
+      );
+
+      const changes = await gitDiffStaged(git);
+
+      if (changes.length > 0) {
+        const stats = {
+          filesChanged: changes.length,
+          insertions: changes.reduce((sum, c) => sum + c.insertions, 0),
+          deletions: changes.reduce((sum, c) => sum + c.deletions, 0),
+        };
+        /** @type {Map<string, GitFileChange[]>} */
+        const groups = new Map();
+        for (const change of changes) {
+          const group = groupOf ? groupOf(change) : "";
+          groups.set(group, [...(groups.get(group) ?? []), change]);
+        }
+        if (groups.size > COMMIT_GROUP_LIMIT) {
+          // That many commits would bury the history, commit them together
+          groupOf = null;
+          groups.clear();
+          groups.set("", changes);
+        }
+
+        if (groups.size === 1) {
+          const [group] = Array.from(groups.keys());
+          await git([
+            "commit",
+            "--message",
+            formatMessage(changes, groupOf ? group : null),
+          ]);
+        } else {
+          for (const group of Array.from(groups.keys()).sort()) {
+            await gitCommitGroup(
+              gitBinPath,
+              env,
+              groups.get(group) ?? [],
+              formatMessage(groups.get(group) ?? [], group),
+            );
+          }
+        }
+
+        const { stdout } = await git(["rev-parse", "HEAD"]);
+        const commitSha = stdout.trim();
+        console.assert(commitSha.length === 40, "Bad commit SHA");
+        return {
+          commit: { commitSha, commits: groups.size, ...stats },
+          skipped,
+          warned,
+        };
+      } else {
+        console.log("git commit: no changes");
+        return { commit: null, skipped, warned };
+      }
+    } finally {
+      await unlinkForce(path.join(gitDir, "COMMIT_EDITMSG"));
+    }
+  }
+
+  /**
+   * @typedef {{ maxFileSize: number, rules: Map<string, string> }} LargeFilePolicy
+   */
+
+  /**
+   * @typedef {{ excluded: string[], redacted: string[], redactKeys: string[] }} PrivateNotes
+   */
+
+  /**
+   * @typedef {{
+   *   largeFiles: LargeFilePolicy,
+   *   encrypted: boolean,
+   *   privateNotes: PrivateNotes,
+   * }} StageOptions
+   */
+
+  /**
+   * @typedef {{ rulesChanged: boolean, skipped: string[], warned: string[] }} StageResult
+   */
+
+  /**
+   * Parse the large file settings. Rules are `extension: action` lines,
+   * unknown actions are ignored.
+   *
+   * @param {number} maxFileSize in MB
+   * @param {string} rules
+   * @returns {LargeFilePolicy}
+   */
+  function parseLargeFilePolicy(maxFileSize, rules) {
+    /** @type {Map<string, string>} */
+    const extensions = new Map();
+    for (const line of rules.split("\n")) {
+      const match = line.trim().match(/^\.?([^\s:]+)\s*:?\s*(skip|warn|lfs)$/i);
+      if (match) extensions.set(match[1].toLowerCase(), match[2].toLowerCase());
+    }
+    return { maxFileSize: maxFileSize * 1024 * 1024, rules: extensions };
+  }
+
+  /**
+   * Commit some of the staged changes on top of HEAD, through a temporary
+   * index built from HEAD plus their staged entries.
+   *
+   * @param {string} gitBinPath
+   * @param {Record<string, string>} env
+   * @param {GitFileChange[]} changes
+   * @param {string} commitMessage
+   * @returns {Promise<void>}
+   */
+  async function gitCommitGroup(gitBinPath, env, changes, commitMessage) {
+    const git = execEnv.bind(null, gitBinPath, env);
+    const tmpDir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "obsidian-git-backup-"),
+    );
+    const groupGit = execEnv.bind(null, gitBinPath, {
+      ...env,
+      GIT_INDEX_FILE: path.join(tmpDir, "index"),
+    });
+
+    try {
+      await groupGit(["read-tree", await gitHeadOrEmptyTree(git)]);
+
+      const removed = changes
+        .filter((change) => change.status === "D")
+        .map((change) => change.path);
+      for (const change of changes) {
+        if (change.oldPath && change.status === "R") {
+          removed.push(change.oldPath);
+        }
+      }
+      if (removed.length > 0) {
+        await groupGit(["update-index", "--force-remove", "--", ...removed]);
+      }
+
+      const added = changes
+        .filter((change) => change.status !== "D")
+        .map((change) => change.path);
+      if (added.length > 0) {
+        const { stdout } = await git([
+          "--literal-pathspecs",
+          "ls-files",
+          "--stage",
+          "-z",
+          "--",
+          ...added,
+        ]);
+        const cacheInfo = [];
+        for (const entry of stdout.split("\0")) {
+          const match = entry.match(/^(\d+) (\S+) \d+\t(.*)$/);
+          if (match) {
+            cacheInfo.push(
+              "--cacheinfo",
+              `${match[1]},${match[2]},${match[3]}`,
+            );
+          }
+        }
+        await groupGit(["update-index", "--add", ...cacheInfo]);
+      }
+
+      await groupGit(["commit", "--message", commitMessage]);
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Write `gitIgnore` to info/exclude, encryption and Git LFS rules to
+   * info/attributes and stage the work tree, leaving out private notes and
+   * files the large file policy skips.
+   *
+   * Only `paths` are restaged when given. The whole work tree is rescanned
+   * when they're not, when there's no index yet, or when the ignore or
+   * attribute rules changed since they were last written.
+   *
+   * @param {GitExec} git
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} gitIgnore
+   * @param {string[] | null} paths
+   * @param {StageOptions} options `encrypted` runs files through the filter
+   *   set up by `gitConfigureEncryption`
+   * @returns {Promise<StageResult>}
+   */
+  async function gitStageChanges(
+    git,
+    gitDir,
+    gitWorkTree,
+    gitIgnore,
+    paths,
+    { largeFiles, encrypted, privateNotes },
+  ) {
+    const excludePath = path.join(gitDir, "info", "exclude");
+    const excludeChanged = (await readFileOrEmpty(excludePath)) !== gitIgnore;
+    await writeFile(excludePath, gitIgnore);
+
+    const lfsExtensions = Array.from(largeFiles.rules)
+      .filter(([, action]) => action === "lfs")
+      .map(([extension]) => extension);
+    // LFS would store encrypted files in plaintext, so it's left out
+    const lfs =
+      !encrypted && lfsExtensions.length > 0 && (await gitLfsInstall(git));
+    let attributes = "";
+    if (encrypted) {
+      attributes += ENCRYPTION_ATTRIBUTES;
+    }
+    if (lfs) {
+      attributes += lfsExtensions
+        .map((ext) => `*.${ext} filter=lfs diff=lfs merge=lfs -text\n`)
+        .join("");
+    }
+    const attributesPath = path.join(gitDir, "info", "attributes");
+    const attributesChanged =
+      (await readFileOrEmpty(attributesPath)) !== attributes;
+    await writeFile(attributesPath, attributes);
+
+    const rulesChanged = excludeChanged || attributesChanged;
+    const incremental =
+      paths && !rulesChanged && (await exists(path.join(gitDir, "index")));
+    const { skipped, warned } = await gitCheckLargeFiles(
+      git,
+      gitWorkTree,
+      incremental ? paths : null,
+      largeFiles,
+      lfs,
+    );
+    // Private notes are never added as they are, so their content doesn't
+    // end up in the repository even unreferenced
+    const unadded = [
+      ...skipped,
+      ...privateNotes.excluded,
+      ...privateNotes.redacted,
+    ];
+    if (incremental) {
+      await gitStagePaths(git, gitWorkTree, paths, unadded);
+    } else {
+      // Skipped files keep the version from HEAD, if they have one
+      await git(["read-tree", await gitHeadOrEmptyTree(git)]);
+      await git([
+        "rm",
+        "-r",
+        "--cached",
+        "--quiet",
+        "--ignore-unmatch",
+        "--",
+        ".",
+        ...skipped.map(excludePathspec),
+      ]);
+      await git(["add", "--", ".", ...unadded.map(excludePathspec)]);
+    }
+
+    await gitStagePrivateNotes(
+      git,
+      gitWorkTree,
+      privateNotes,
+      incremental ? paths : null,
+    );
+
+    return { rulesChanged, skipped, warned };
+  }
+
+  /**
+   * Unstage excluded notes and stage redacted copies of notes with keys to
+   * redact. Redacted notes are restaged when they're under `paths`, or
+   * always without `paths`, and when they're missing from the index because
+   * they're new or were only just redacted.
+   *
+   * @param {GitExec} git
+   * @param {string} gitWorkTree
+   * @param {PrivateNotes} privateNotes
+   * @param {string[] | null} paths
+   * @returns {Promise<void>}
+   */
+  async function gitStagePrivateNotes(git, gitWorkTree, privateNotes, paths) {
+    const { excluded, redacted, redactKeys } = privateNotes;
+    if (excluded.length > 0) {
+      await git([
+        "--literal-pathspecs",
+        "rm",
+        "--cached",
+        "--quiet",
+        "--ignore-unmatch",
+        "--",
+        ...excluded,
+      ]);
+    }
+    if (redacted.length === 0) return;
+
+    const { stdout } = await git([
+      "--literal-pathspecs",
+      "ls-files",
+      "--cached",
+      "-z",
+      "--",
+      ...redacted,
+    ]);
+    const indexed = new Set(stdout.split("\0"));
+    const restaged = paths ? new Set(paths) : null;
+    const changed = redacted.filter(
+      (filePath) =>
+        !restaged || restaged.has(filePath) || !indexed.has(filePath),
+    );
+    if (changed.length === 0) return;
+
+    const ignored = new Set(await gitCheckIgnore(git, changed));
+    await gitStageRedacted(
+      git,
+      gitWorkTree,
+      changed.filter((filePath) => !ignored.has(filePath)),
+      redactKeys,
+    );
+  }
+
+  /**
+   * Stage a copy of each note with `keys` removed from its frontmatter.
+   *
+   * @param {GitExec} git
+   * @param {string} gitWorkTree
+   * @param {string[]} paths
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   */
+  async function gitStageRedacted(git, gitWorkTree, paths, keys) {
+    if (paths.length === 0 || keys.length === 0) return;
+
+    const tmpDir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "obsidian-git-backup-"),
+    );
+    try {
+      const cacheInfo = [];
+      for (const filePath of paths) {
+        const content = await fs.promises.readFile(
+          path.join(gitWorkTree, filePath),
+          "utf8",
+        );
+        const tmpFile = path.join(tmpDir, "note");
+        await fs.promises.writeFile(tmpFile, redactFrontmatter(content, keys));
+        // --path applies the same filters `git add` would, like encryption
+        const { stdout } = await git([
+          "hash-object",
+          "-w",
+          `--path=${filePath}`,
+          "--",
+          tmpFile,
+        ]);
+        cacheInfo.push("--cacheinfo", `100644,${stdout.trim()},${filePath}`);
+      }
+      await git(["update-index", "--add", ...cacheInfo]);
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Remove top level `keys` and their nested values from a note's
+   * frontmatter.
+   *
+   * @param {string} content
+   * @param {string[]} keys
+   * @returns {string}
+   */
+  function redactFrontmatter(content, keys) {
+    const match = content.match(/^---\r?\n([\s\S]*?\r?\n)?---(\r?\n|$)/);
+    if (!match) return content;
+
+    const start = content.indexOf("\n") + 1;
+    const frontmatter = match[1] ?? "";
+    let redacting = false;
+    const kept = frontmatter.split(/(?<=\n)/).filter((line) => {
+      const key = line.match(/^([^\s#:-][^:]*?)\s*:/)?.[1];
+      if (key !== undefined) {
+        redacting = keys.includes(key);
+      } else if (!/^[\s-]/.test(line)) {
+        redacting = false;
+      }
+      return !redacting;
+    });
+    return (
+      content.slice(0, start) +
+      kept.join("") +
+      content.slice(start + frontmatter.length)
+    );
+  }
+
+  /**
+   * Check the large file policy against new and modified work tree files
+   * under `paths`, or the whole work tree. This runs before staging, so
+   * skipped files are never hashed into the repository.
+   *
+   * @param {GitExec} git
+   * @param {string} gitWorkTree
+   * @param {string[] | null} paths
+   * @param {LargeFilePolicy} policy
+   * @param {boolean} lfs whether Git LFS handles `lfs` rules
+   * @returns {Promise<{ skipped: string[]; warned: string[]; }>}
+   */
+  async function gitCheckLargeFiles(git, gitWorkTree, paths, policy, lfs) {
+    /** @type {string[]} */
+    const skipped = [];
+    /** @type {string[]} */
+    const warned = [];
+    if (!policy.maxFileSize && policy.rules.size === 0) {
+      return { skipped, warned };
+    }
+
+    const { stdout } = await git([
+      "--literal-pathspecs",
+      "ls-files",
+      "--others",
+      "--modified",
+      "--exclude-standard",
+      "-z",
+      "--",
+      ...(paths ?? []),
+    ]);
+    for (const filePath of Array.from(new Set(stdout.split("\0")))) {
+      if (!filePath) continue;
+      const extension = path.posix.extname(filePath).slice(1).toLowerCase();
+      const action = policy.rules.get(extension);
+      if (action === "skip") {
+        skipped.push(filePath);
+        continue;
+      }
+      if (action === "lfs" && lfs) continue;
+
+      let size = 0;
+      try {
+        ({ size } = await fs.promises.lstat(path.join(gitWorkTree, filePath)));
+      } catch (error) {
+        // Deleted, which stages fine whatever its size was
+        continue;
+      }
+      if (policy.maxFileSize && size > policy.maxFileSize) {
+        skipped.push(filePath);
+      } else if (action === "warn" || action === "lfs") {
+        warned.push(filePath);
+      }
+    }
+
+    return { skipped, warned };
+  }
+
+  /**
+   * Pathspec that leaves a work tree path out of a command.
+   *
+   * @param {string} filePath
+   * @returns {string}
+   */
+  function excludePathspec(filePath) {
+    return `:(exclude,literal)${filePath}`;
+  }
+
+  /**
+   * Set up the Git LFS filters and hooks in the repository, if git-lfs is
+   * installed and they aren't set up already.
+   *
+   * @param {GitExec} git
+   * @returns {Promise<boolean>} whether Git LFS is available
+   */
+  async function gitLfsInstall(git) {
+    try {
+      await git(["config", "--local", "--get", "filter.lfs.process"]);
+      return true;
+    } catch (error) {
+      // Not set up in this repository yet
+    }
+    try {
+      await git(["lfs", "install", "--local"]);
+      return true;
+    } catch (error) {
+      console.warn("git lfs unavailable:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Read the raw contents of a file encrypted in HEAD, if there's any.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<Buffer | null>}
+   */
+  async function gitEncryptedSample(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    const headerLength = ENCRYPTION_HEADER.length + 32;
+    try {
+      const { stdout } = await git(["ls-tree", "-r", "-l", "-z", "HEAD"]);
+      // The smallest files are the cheapest to read
+      const blobs = stdout
+        .split("\0")
+        .map((entry) => entry.split("\t", 1)[0].split(/\s+/))
+        .filter(([, type, , size]) => type === "blob" && +size >= headerLength)
+        .sort((a, b) => +a[3] - +b[3])
+        .slice(0, ENCRYPTION_SALT_PROBE_LIMIT);
+      for (const [, , objectName] of blobs) {
+        const { stdout: data } = await execFile(
+          gitBinPath,
+          ["cat-file", "blob", objectName],
+          {
+            env: { ...gitBaseEnv, ...env },
+            encoding: "buffer",
+            maxBuffer: Infinity,
+          },
+        );
+        if (isEncrypted(data)) return data;
+      }
+    } catch (error) {
+      // No commits yet
+    }
+    return null;
+  }
+
+  /**
+   * Get the salt the repository's encryption key is derived with, in hex.
+   * Every device has to use the same one, so it's read from the header of
+   * `sample`, a file already encrypted in HEAD. A repository without any
+   * gets a new random salt.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {Buffer | null} sample
+   * @returns {Promise<string>}
+   */
+  async function gitEncryptionSalt(gitBinPath, gitDir, sample) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    try {
+      const { stdout } = await git([
+        "config",
+        "--local",
+        ENCRYPTION_SALT_CONFIG,
+      ]);
+      return stdout.trim();
+    } catch (error) {
+      // Not chosen yet
+    }
+
+    const salt = sample
+      ? sample
+          .subarray(ENCRYPTION_HEADER.length, ENCRYPTION_HEADER.length + 16)
+          .toString("hex")
+      : crypto.randomBytes(16).toString("hex");
+    await git(["config", "--local", ENCRYPTION_SALT_CONFIG, salt]);
+    return salt;
+  }
+
+  /**
+   * Check that `data`, an encrypted file, decrypts with `key` the way
+   * `cryptFilterMain` does it. Files encrypted with another salt can't be
+   * checked and pass.
+   *
+   * @param {Buffer} data
+   * @param {string} salt in hex
+   * @param {Buffer} key
+   * @returns {boolean}
+   */
+  function isEncryptedWithKey(data, salt, key) {
+    let offset = ENCRYPTION_HEADER.length;
+    if (data.subarray(offset, offset + 16).toString("hex") !== salt) {
+      return true;
+    }
+    offset += 16;
+    const iv = data.subarray(offset, offset + 16);
+    const decipher = crypto.createDecipheriv(
+      "aes-256-ctr",
+      key.subarray(0, 32),
+      iv,
+    );
+    const plaintext = Buffer.concat([
+      decipher.update(data.subarray(offset + 16)),
+      decipher.final(),
+    ]);
+    const mac = crypto
+      .createHmac("sha256", key.subarray(32, 64))
+      .update(plaintext)
+      .digest()
+      .subarray(0, 16);
+    return crypto.timingSafeEqual(mac, iv);
+  }
+
+  /**
+   * Check for the encrypted file header.
+   *
+   * @param {Buffer | string} data
+   * @returns {boolean}
+   */
+  function isEncrypted(data) {
+    if (typeof data === "string") return data.startsWith(ENCRYPTION_HEADER);
+    return (
+      data.subarray(0, ENCRYPTION_HEADER.length).toString("latin1") ===
+      ENCRYPTION_HEADER
+    );
+  }
+
+  /**
+   * List the files under `dir` that start with the encrypted file header,
+   * which is what a restore without a working filter leaves behind.
+   *
+   * @param {string} dir
+   * @param {string[]} files
+   * @returns {Promise<string[]>}
+   */
+  async function findEncryptedFiles(dir, files) {
+    const encrypted = [];
+    const buffer = Buffer.alloc(ENCRYPTION_HEADER.length);
+    // One at a time, restores can cover more files than there are handles
+    for (const file of files) {
+      let handle;
+      try {
+        handle = await fs.promises.open(path.join(dir, file), "r");
+      } catch (error) {
+        continue;
+      }
+      try {
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        if (isEncrypted(buffer.subarray(0, bytesRead))) encrypted.push(file);
+      } finally {
+        await handle.close();
+      }
+    }
+    return encrypted;
+  }
+
+  /**
+   * Configure a git filter that encrypts file contents when they're staged
+   * and decrypts them on checkout, `cat-file --filters` and in diffs. The
+   * key comes from `ENCRYPTION_KEY_ENV`, which `gitFilterEnv` sets for the
+   * git commands that may run the filter.
+   *
+   * The filter runs `cryptFilterMain` with Obsidian's own Electron binary in
+   * Node mode, since there's no guarantee Node is installed.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @returns {Promise<boolean>} whether info/attributes had to be changed
+   */
+  async function gitConfigureEncryption(gitBinPath, gitDir) {
+    const env = { GIT_DIR: gitDir };
+    const git = execEnv.bind(null, gitBinPath, env);
+
+    const scriptPath = path.join(gitDir, ENCRYPTION_FILTER_SCRIPT);
+    const args = [ENCRYPTION_KEY_ENV, ENCRYPTION_HEADER]
+      .map((arg) => JSON.stringify(arg))
+      .join(", ");
+    await writeFile(
+      scriptPath,
+      `(${cryptFilterMain})(${args}, ...process.argv.slice(2));\n`,
+    );
+
+    const command = [process.execPath, scriptPath].map(shellQuote).join(" ");
+    const filter = `ELECTRON_RUN_AS_NODE=1 ${command}`;
+    const config = [
+      [`filter.${ENCRYPTION_FILTER}.process`, `${filter} process`],
+      [`filter.${ENCRYPTION_FILTER}.required`, "true"],
+      [`diff.${ENCRYPTION_FILTER}.textconv`, `${filter} textconv`],
+    ];
+    for (const [name, value] of config) {
+      await git(["config", name, value]);
+    }
+
+    // Restores read info/attributes too, and may run before any backup
+    // has written it
+    const attributesPath = path.join(gitDir, "info", "attributes");
+    if ((await readFileOrEmpty(attributesPath)) === ENCRYPTION_ATTRIBUTES) {
+      return false;
+    }
+    await fs.promises.mkdir(path.dirname(attributesPath), { recursive: true });
+    await writeFile(attributesPath, ENCRYPTION_ATTRIBUTES);
+    return true;
+  }
+
+  /**
+   * Entry point of the encryption filter script, serialized into the git
+   * directory by `gitConfigureEncryption`. Only Node built-ins are
+   * available here.
+   *
+   * Encryption is deterministic so rescanning unchanged files doesn't
+   * produce new blobs: the IV is an HMAC of the plaintext, which also
+   * authenticates it on decryption. Files are the header, the salt, the IV
+   * and the ciphertext. Cleaning refuses anything already encrypted, so
+   * ciphertext can't be committed twice over. Smudging and textconv pass
+   * anything without the header through as is: files committed before
+   * encryption was turned on, and work tree files, which git hands to
+   * textconv instead of the blob when they match the index.
+   *
+   * In `process` mode this speaks git's long running filter protocol on
+   * stdin and stdout. In `textconv` mode it prints the decrypted contents of
+   * the file at `filePath`.
+   *
+   * @param {string} keyEnv variable holding the salt and key as `salt:key`
+   * @param {string} headerText
+   * @param {string} mode
+   * @param {string} [filePath]
+   * @returns {void}
+   */
+  function cryptFilterMain(keyEnv, headerText, mode, filePath) {
+    const crypto = require("node:crypto");
+    const fs = require("node:fs");
+
+    const [saltHex, keyHex] = (process.env[keyEnv] ?? "").split(":");
+    assert(saltHex && keyHex, `${keyEnv} isn't set`);
+    const salt = Buffer.from(saltHex, "hex");
+    const key = Buffer.from(keyHex, "hex");
+    const encryptionKey = key.subarray(0, 32);
+    const macKey = key.subarray(32, 64);
+    const header = Buffer.from(headerText, "latin1");
+
+    /** @param {Buffer} data */
+    const mac = (data) =>
+      crypto.createHmac("sha256", macKey).update(data).digest().subarray(0, 16);
+
+    /** @param {Buffer} data */
+    const hasHeader = (data) => data.subarray(0, header.length).equals(header);
+
+    /** @param {Buffer} data */
+    const encrypt = (data) => {
+      assert(!hasHeader(data), "File is already encrypted");
+      const iv = mac(data);
+      const cipher = crypto.createCipheriv("aes-256-ctr", encryptionKey, iv);
+      return Buffer.concat([
+        header,
+        salt,
+        iv,
+        cipher.update(data),
+        cipher.final(),
+      ]);
+    };
+
+    /** @param {Buffer} data */
+    const decrypt = (data) => {
+      if (!hasHeader(data)) return data;
+      let offset = header.length;
+      assert(
+        data.subarray(offset, offset + 16).equals(salt),
+        "File was encrypted for another repository",
+      );
+      offset += 16;
+      const iv = data.subarray(offset, offset + 16);
+      const decipher = crypto.createDecipheriv(
+        "aes-256-ctr",
+        encryptionKey,
+        iv,
+      );
+      const plaintext = Buffer.concat([
+        decipher.update(data.subarray(offset + 16)),
+        decipher.final(),
+      ]);
+      if (!crypto.timingSafeEqual(mac(plaintext), iv)) {
+        throw new Error("Wrong passphrase or corrupted file");
+      }
+      return plaintext;
+    };
+
+    if (mode === "textconv") {
+      assert(filePath, "textconv needs a file");
+      process.stdout.write(decrypt(fs.readFileSync(filePath)));
+      return;
+    }
+    assert(mode === "process", `Unknown mode ${mode}`);
+
+    let input = Buffer.alloc(0);
+    let ended = false;
+    /** @type {(() => void) | null} */
+    let wake = null;
+    process.stdin.on("data", (chunk) => {
+      input = Buffer.concat([input, chunk]);
+      wake?.();
+    });
+    process.stdin.on("end", () => {
+      ended = true;
+      wake?.();
+    });
+
+    /** @returns {Promise<Buffer | null>} null for a flush packet */
+    const readPacket = async () => {
+      for (;;) {
+        if (input.length >= 4) {
+          const size = parseInt(input.toString("ascii", 0, 4), 16);
+          if (size === 0) {
+            input = input.subarray(4);
+            return null;
+          }
+          if (input.length >= size) {
+            const packet = input.subarray(4, size);
+            input = input.subarray(size);
+            return packet;
+          }
+        }
+        if (ended) process.exit(0);
+        await new Promise((resolve) => (wake = () => resolve(undefined)));
+        wake = null;
+      }
+    };
+
+    /** @returns {Promise<string[]>} */
+    const readLines = async () => {
+      const lines = [];
+      for (let packet; (packet = await readPacket()); ) {
+        lines.push(packet.toString().replace(/\n$/, ""));
+      }
+      return lines;
+    };
+
+    /** @returns {Promise<Buffer>} */
+    const readContent = async () => {
+      const packets = [];
+      for (let packet; (packet = await readPacket()); ) {
+        packets.push(packet);
+      }
+      return Buffer.concat(packets);
+    };
+
+    /** @param {Buffer | string} data */
+    const writePacket = (data) => {
+      const packet = typeof data === "string" ? Buffer.from(`${data}\n`) : data;
+      const size = (packet.length + 4).toString(16).padStart(4, "0");
+      process.stdout.write(Buffer.concat([Buffer.from(size), packet]));
+    };
+    const writeFlush = () => process.stdout.write("0000");
+
+    const main = async () => {
+      await readLines();
+      writePacket("git-filter-server");
+      writePacket("version=2");
+      writeFlush();
+      const capabilities = await readLines();
+      for (const capability of ["capability=clean", "capability=smudge"]) {
+        if (capabilities.includes(capability)) writePacket(capability);
+      }
+      writeFlush();
+
+      for (;;) {
+        const command = (await readLines()).find((line) =>
+          line.startsWith("command="),
+        );
+        const content = await readContent();
+        let result;
+        try {
+          result =
+            command === "command=clean" ? encrypt(content) : decrypt(content);
+        } catch (error) {
+          console.error(error);
+          writePacket("status=error");
+          writeFlush();
+          continue;
+        }
+        writePacket("status=success");
+        writeFlush();
+        // Packets carry at most 65516 bytes of data
+        for (let i = 0; i < result.length; i += 65516) {
+          writePacket(result.subarray(i, i + 65516));
+        }
+        writeFlush();
+        writeFlush();
+      }
+    };
+    main();
 
-      new Setting(containerEl).setName("Local Settings").setHeading();
+    /**
+     * @param {unknown} value
+     * @param {string} message
+     * @returns {asserts value}
+     */
+    function assert(value, message) {
+      if (!value) throw new Error(message);
+    }
+  }
 
-      new Setting(containerEl).setName("Enabled").addToggle((toggle) => {
-        toggle
-          .setValue(this.plugin.settings.enabled)
-          .onChange(async (value) => {
-            this.plugin.settings.enabled = value;
-            await this.plugin.saveSettings();
-          });
-      });
+  /**
+   * Stage changes to the given work tree paths only. Paths that no longer
+   * exist are removed from the index, ignored and `skipped` paths are left
+   * as they are.
+   *
+   * @param {GitExec} git
+   * @param {string} gitWorkTree
+   * @param {string[]} paths
+   * @param {string[]} [skipped]
+   * @returns {Promise<void>}
+   */
+  async function gitStagePaths(git, gitWorkTree, paths, skipped = []) {
+    /** @type {string[]} */
+    const existing = [];
+    /** @type {string[]} */
+    const missing = [];
+    for (const filePath of Array.from(new Set(paths))) {
+      if (await exists(path.join(gitWorkTree, filePath))) {
+        existing.push(filePath);
+      } else {
+        missing.push(filePath);
+      }
+    }
 
-      new Setting(containerEl).setName("Git Bin Path").addText((text) =>
-        text
-          .setValue(this.plugin.settings.gitBinPath)
-          .onChange(async (value) => {
-            this.plugin.settings.gitBinPath = value;
-            await this.plugin.saveSettings();
-          }),
-      );
+    if (missing.length > 0) {
+      await git([
+        "--literal-pathspecs",
+        "rm",
+        "-r",
+        "--cached",
+        "--quiet",
+        "--ignore-unmatch",
+        "--",
+        ...missing,
+      ]);
+    }
 
-      new Setting(containerEl).setName("Git Dir").addText((text) => {
-        text.setValue(this.plugin.settings.gitDir).onChange(async (value) => {
-          this.plugin.settings.gitDir = value;
-          await this.plugin.saveSettings();
-        });
-      });
+    if (existing.length > 0) {
+      const ignored = new Set(await gitCheckIgnore(git, existing));
+      const added = existing.filter((filePath) => !ignored.has(filePath));
+      if (added.length > 0) {
+        await git([
+          "add",
+          "--all",
+          "--",
+          ...added.map((filePath) => `:(literal)${filePath}`),
+          ...skipped.map(excludePathspec),
+        ]);
+      }
     }
   }
 
   /**
-   * Get the path to the git binary.
+   * List work tree paths matching `gitIgnore` or .gitignore files in the
+   * vault, tracked or not. Folders with only ignored contents are listed
+   * once, with a trailing slash.
    *
-   * @returns {Promise<string | null>}
+   * Unlike `gitCheckIgnore` this doesn't need `gitIgnore` to be written to
+   * info/exclude first.
+   *
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} gitIgnore
+   * @param {string[]} pathspec
+   * @returns {Promise<string[]>}
    */
-  async function detectGit() {
-    const env = await getShellEnv();
-    const { stdout } = await execFile("which", ["git"], { env });
-    const result = stdout.trim();
-    return result === "" ? null : result;
+  async function gitListIgnored(
+    gitBinPath,
+    gitDir,
+    gitWorkTree,
+    gitIgnore,
+    pathspec,
+  ) {
+    const env = { GIT_DIR: gitDir, GIT_WORK_TREE: gitWorkTree };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const excludes = gitIgnore
+      .split("\n")
+      .filter((line) => line.trim() !== "" && !line.startsWith("#"))
+      .map((line) => `--exclude=${line}`);
+    const { stdout } = await git([
+      "--literal-pathspecs",
+      "ls-files",
+      "-z",
+      "--cached",
+      "--others",
+      "--ignored",
+      "--directory",
+      "--exclude-per-directory=.gitignore",
+      ...excludes,
+      "--",
+      ...pathspec,
+    ]);
+    return stdout.split("\0").filter((filePath) => filePath !== "");
   }
 
   /**
-   * Get user's login shell environment variables.
+   * Count the files, tracked or not, and bytes a single ignore pattern
+   * matches.
    *
-   * @returns {Promise<Record<string, string>>}
+   * @param {string} gitBinPath
+   * @param {string} gitDir
+   * @param {string} gitWorkTree
+   * @param {string} pattern
+   * @returns {Promise<{ files: number; bytes: number; }>}
    */
-  async function getShellEnv() {
-    const shell = process.env.SHELL;
-    assert(shell, "SHELL environment variable is set");
-    const { stdout } = await execFile(shell, ["-l", "-c", "env"], {
-      env: process.env,
-    });
-    /** @type {Record<string, string>} */
-    const env = {};
-    for (const line of stdout.split("\n")) {
-      const [key, value] = line.split("=", 2);
-      if (key) env[key] = value;
+  async function gitCountIgnored(gitBinPath, gitDir, gitWorkTree, pattern) {
+    const env = { GIT_DIR: gitDir, GIT_WORK_TREE: gitWorkTree };
+    const git = execEnv.bind(null, gitBinPath, env);
+    const { stdout } = await git([
+      "ls-files",
+      "-z",
+      "--cached",
+      "--others",
+      "--ignored",
+      `--exclude=${pattern}`,
+    ]);
+
+    const counts = { files: 0, bytes: 0 };
+    for (const filePath of stdout.split("\0")) {
+      if (!filePath) continue;
+      counts.files++;
+      try {
+        const stat = await fs.promises.lstat(path.join(gitWorkTree, filePath));
+        counts.bytes += stat.size;
+      } catch (error) {
+        // Tracked files may already be deleted from the vault
+      }
     }
-    return env;
+    return counts;
   }
 
   /**
-   * Get git config global value.
+   * List which of the given paths are excluded by ignore rules.
    *
-   * @param {string} name
-   * @returns {Promise<string>}
+   * @param {GitExec} git
+   * @param {string[]} paths
+   * @returns {Promise<string[]>}
    */
-  async function getGitConfig(name) {
+  async function gitCheckIgnore(git, paths) {
     try {
-      const env = await getShellEnv();
-      const { stdout } = await execEnv("git", env, [
-        "config",
-        "--global",
-        name,
+      const { stdout } = await git([
+        "-c",
+        "core.quotePath=false",
+        "check-ignore",
+        "--",
+        ...paths,
       ]);
-      return stdout.trim();
+      return stdout.split("\n").filter((line) => line !== "");
     } catch (error) {
-      console.warn(`Failed to get git config ${name}:`, error);
-      return "";
+      // Exits 1 when none of the paths are ignored
+      if (error instanceof Error && "code" in error && error.code === 1) {
+        return [];
+      }
+      throw error;
     }
   }
 
   /**
-   * Fetch or clone a git repository.
+   * Run a task while holding an exclusive lock file in the git directory.
+   * Before the task runs, `index.lock` files left behind by crashed git
+   * processes are removed.
    *
-   * @param {string} gitBinPath
+   * @template T
    * @param {string} gitDir
-   * @param {string} url
-   * @returns {Promise<void>}
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
    */
-  async function gitFetch(gitBinPath, gitDir, url) {
-    const env = { GIT_DIR: gitDir };
-    const git = execEnv.bind(null, gitBinPath, env);
-
-    if (await exists(gitDir)) {
-      const { stdout } = await git(["config", "--local", "remote.origin.url"]);
-      assert(stdout.trim() === url, "Unexpected remote URL");
+  async function withRepositoryLock(gitDir, task) {
+    // Nothing to lock until the repository has been cloned
+    if (!(await exists(gitDir))) {
+      return await task();
+    }
 
-      const { stderr } = await git(["fetch", "origin"]);
-      console.log("git fetch:", stderr);
-    } else {
-      console.log("git cloning", url);
-      await git(["clone", "--bare", url, gitDir]);
+    const lockPath = path.join(gitDir, REPOSITORY_LOCK_FILE);
+    await acquireLock(lockPath);
+    try {
+      await removeStaleIndexLock(gitDir);
+      return await task();
+    } finally {
+      await unlinkForce(lockPath);
     }
   }
 
   /**
-   * Push local git changes to remote.
+   * Create a lock file, waiting for other holders to release it.
    *
-   * @param {string} gitBinPath
-   * @param {string} gitDir
-   * @param {string} repository
-   * @param {string} refspec
+   * @param {string} lockPath
    * @returns {Promise<void>}
    */
-  async function gitPush(gitBinPath, gitDir, repository, refspec) {
-    const env = { GIT_DIR: gitDir };
-    const git = execEnv.bind(null, gitBinPath, env);
-    const { stderr } = await git(["push", repository, refspec]);
-    console.log("git push:", stderr);
+  async function acquireLock(lockPath) {
+    const contents = JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+    });
+    const deadline = Date.now() + REPOSITORY_LOCK_TIMEOUT;
+
+    while (true) {
+      try {
+        await fs.promises.writeFile(lockPath, contents, { flag: "wx" });
+        return;
+      } catch (error) {
+        if (
+          !(error instanceof Error && "code" in error) ||
+          error.code !== "EEXIST"
+        ) {
+          throw error;
+        }
+      }
+
+      if (await isStaleLock(lockPath)) {
+        console.warn("Removing stale lock", lockPath);
+        await unlinkForce(lockPath);
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Backup repository is locked by another Obsidian window: ${lockPath}`,
+        );
+      }
+      await sleep(250);
+    }
   }
 
   /**
-   * Get git stats for uncommitted changes.
+   * Check if a lock file was left behind by a process that no longer runs.
    *
-   * @param {string} gitBinPath
-   * @param {string} gitDir
-   * @param {string} gitWorkTree
-   * @returns {Promise<{ filesChanged: number; insertions: number; deletions: number; }>}
+   * @param {string} lockPath
+   * @returns {Promise<boolean>}
    */
-  async function gitStat(gitBinPath, gitDir, gitWorkTree) {
-    const env = { GIT_DIR: gitDir, GIT_WORK_TREE: gitWorkTree };
-    const git = execEnv.bind(null, gitBinPath, env);
-    const { stdout } = await git(["diff", "--numstat", "HEAD"]);
-    return parseGitDiffNumstat(stdout);
+  async function isStaleLock(lockPath) {
+    try {
+      const stat = await fs.promises.stat(lockPath);
+      if (Date.now() - stat.mtimeMs > STALE_REPOSITORY_LOCK_AGE) {
+        return true;
+      }
+
+      const { pid, hostname } = JSON.parse(
+        await fs.promises.readFile(lockPath, "utf8"),
+      );
+      return hostname === os.hostname() && !isProcessRunning(pid);
+    } catch (error) {
+      // Lock was released or is still being written
+      return false;
+    }
   }
 
   /**
-   * Parse git diff --numstat output.
-   *
-   * @param {string} out
-   * @returns {{ filesChanged: number; insertions: number; deletions: number; }}
+   * @param {number} pid
+   * @returns {boolean}
    */
-  function parseGitDiffNumstat(out) {
-    const stats = {
-      filesChanged: 0,
-      insertions: 0,
-      deletions: 0,
-    };
-
-    for (const line of out.trim().split("\n")) {
-      if (line.trim()) {
-        const cols = line.split(/\s+/, 3);
-        stats.filesChanged++;
-        stats.insertions += parseInt(cols[0]);
-        stats.deletions += parseInt(cols[1]);
-      }
+  function isProcessRunning(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return (
+        error instanceof Error && "code" in error && error.code === "EPERM"
+      );
     }
-
-    return stats;
   }
 
   /**
-   * Run `git commit` in the given git directory.
-   * @param {string} gitBinPath
+   * Remove `index.lock` if it's older than any git command we'd run.
+   * Only safe while holding the repository lock.
+   *
    * @param {string} gitDir
-   * @param {string} gitWorkTree
-   * @param {string} commitMessage
-   * @param {string} gitUserName
-   * @param {string} gitUserEmail
-   * @param {string} gitIgnore
-   * @returns {Promise<{ commitSha: string; filesChanged: number; insertions: number; deletions: number; } | null>}
+   * @returns {Promise<void>}
    */
-  async function gitCommitAll(
-    gitBinPath,
-    gitDir,
-    gitWorkTree,
-    commitMessage,
-    gitUserName,
-    gitUserEmail,
-    gitIgnore,
-  ) {
-    const env = {
-      GIT_DIR: gitDir,
-      GIT_WORK_TREE: gitWorkTree,
-      GIT_AUTHOR_NAME: gitUserName,
-      GIT_AUTHOR_EMAIL: gitUserEmail,
-      GIT_COMMITTER_NAME: gitUserName,
-      GIT_COMMITTER_EMAIL: gitUserEmail,
-    };
-    const git = execEnv.bind(null, gitBinPath, env);
-
+  async function removeStaleIndexLock(gitDir) {
+    const indexLockPath = path.join(gitDir, "index.lock");
     try {
-      await writeFile(path.join(gitDir, "info", "exclude"), gitIgnore);
-
-      await git(["reset", "--mixed", "HEAD"]);
-      await git(["rm", "-r", "--cached", "."]);
-      await git(["add", "."]);
-
-      const { stdout } = await git(["diff", "--staged", "--numstat"]);
-      const stats = parseGitDiffNumstat(stdout);
-
-      if (stats.filesChanged > 0) {
-        await git(["commit", "--message", commitMessage]);
-        const { stdout } = await git(["rev-parse", "HEAD"]);
-        const commitSha = stdout.trim();
-        console.assert(commitSha.length === 40, "Bad commit SHA");
-        return { commitSha, ...stats };
-      } else {
-        console.log("git commit: no changes");
-        return null;
-      }
-    } finally {
-      await unlinkForce(path.join(gitDir, "COMMIT_EDITMSG"));
+      const stat = await fs.promises.stat(indexLockPath);
+      if (Date.now() - stat.mtimeMs < STALE_INDEX_LOCK_AGE) return;
+    } catch (error) {
+      return;
     }
+    console.warn("Removing stale index.lock", indexLockPath);
+    await unlinkForce(indexLockPath);
   }
 
   /**
@@ -693,7 +8208,32 @@ module.exports = (() => {
    * @returns {Promise<{ stdout: string; stderr: string }>}
    */
   async function execEnv(file, env, args) {
-    return await execFile(file, args, { env });
+    // Log and diff output for large vaults easily exceeds the 1MB default
+    return await execFile(file, args, {
+      env: { ...gitBaseEnv, ...env },
+      maxBuffer: Infinity,
+    });
+  }
+
+  /**
+   * Quote an argument for the POSIX shell git runs configured commands with.
+   *
+   * @param {string} arg
+   * @returns {string}
+   */
+  function shellQuote(arg) {
+    return `'${arg.replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {string} path with a leading `~` replaced by the home directory
+   */
+  function expandHome(filePath) {
+    if (filePath === "~" || filePath.startsWith("~/")) {
+      return path.join(os.homedir(), filePath.slice(1));
+    }
+    return filePath;
   }
 
   /**
@@ -734,6 +8274,67 @@ module.exports = (() => {
     await fs.promises.writeFile(path, contents);
   }
 
+  /**
+   * Read a file, or return an empty string if it doesn't exist.
+   *
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async function readFileOrEmpty(path) {
+    try {
+      return await fs.promises.readFile(path, "utf8");
+    } catch (error) {
+      if (
+        error instanceof Error &&
+        "code" in error &&
+        error.code !== "ENOENT"
+      ) {
+        throw error;
+      }
+      return "";
+    }
+  }
+
+  /**
+   * Escape a vault path so it matches literally as a gitignore pattern.
+   *
+   * @param {string} filePath
+   * @returns {string}
+   */
+  function escapeGitIgnorePattern(filePath) {
+    return filePath.replace(/[\\*?[\]!#]|\s$/g, "\\$&");
+  }
+
+  /**
+   * Split a comma separated setting into trimmed, non-empty items.
+   *
+   * @param {string} value
+   * @returns {string[]}
+   */
+  function splitList(value) {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item !== "");
+  }
+
+  /**
+   * Format a byte count for display.
+   *
+   * @param {number} bytes
+   * @returns {string}
+   */
+  function formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+
   /**
    * Check if a file or directory exists.
    *
@@ -770,6 +8371,14 @@ module.exports = (() => {
     }
   }
 
+  /**
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   /**
    * @param {any} value
    * @param {string} message